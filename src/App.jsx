@@ -1,22 +1,38 @@
 import React, { useEffect, useRef, useState } from "react";
 import JSZip from "jszip";
+import { PROJECT_EXT, saveProject, openProject, autosaveProject, loadAutosave } from "./project.js";
+import { useHistory } from "./history.js";
+import { boundsOf, expandToGroups, mapIntoBox, withGroups, reorderSelection, moveInStack } from "./selection.js";
+import { SNAP_SCREEN_PX, snapTargets, snapRect, alignNodes, distributeNodes } from "./snap.js";
+import { useViewport } from "./viewport.js";
+import { SHAPE_TYPES, PLUS_ARM, DOT_GAP, hasWeight, shapeWeight, isImage, isShape, replaceKind, constrainShape } from "./shapes.js";
+import { isText, SYSTEM_FONTS, TEXT_DEFAULTS, fontString, trackingPx, layoutText, lineOffset, fitText, clearTextCache, registerFont, fontFromFile } from "./text.js";
+import { imageIds, abortError } from "./render.js";
+import { renderImages, fitCanvasScale } from "./exporter.js";
+import { justifiedRows, gridTemplate, parseGridTemplates, recursiveSplit, seamContinuity, seamsCrossed } from "./layouts.js";
+import { BACKGROUND_DEFAULTS, BACKGROUND_KINDS, withBackgroundDefaults, boardColour, cssFill, coverBox, tileBox } from "./background.js";
+import { ADJUST_DEFAULTS, BLEND_MODES, withAdjustDefaults, cssFilter, duotoneTables, LUMA } from "./adjust.js";
+import { MASKS, STROKE_DEFAULTS, SHADOW_DEFAULTS, ROTATE_SNAP, isRotatable, normalizeAngle, maskShape, cssRadius, cssShadow, frameBounds, paintBounds, rotateVec } from "./frame.js";
+import { DISTRIBUTIONS, CONSTRAINTS, overlayPoints, imageConstraint } from "./patterns.js";
+import { loadPalettes, savePalettes, dominantColours, suggestPalette, palettesToJSON, palettesFromJSON, palettesToASE, palettesFromASE } from "./palette.js";
+import { BATCH_MAX, scoreLayout } from "./batch.js";
+import { CHECKS, checkSpread } from "./quality.js";
+import { reorderBoards, boardsInUse, insertOrder, deleteOrder, duplicateOrder, moveOrder, resizeOrder } from "./boards.js";
+import { TEMPLATE_EXT, isSlot, templateFrom, fillTemplate, fillFrame, loadTemplates, saveTemplates, templateToJSON, templateFromJSON } from "./templates.js";
+import { putAsset, getAssetBlob, getProxyBlob, listAssets, deleteAsset, useProxyURL } from "./assets.js";
+import { EXPORT_FORMATS, COLOR_SPACES, EXPORT_DEFAULTS, NAME_TOKENS, withExportDefaults, fileNameFrom } from "./exportSettings.js";
+import { buildPdf } from "./pdf.js";
+import { createRng, randomSeed, stepSeed, randInt, pick, shuffle, SEED_MAX } from "./random.js";
 
 /* ---------------------------- constants ---------------------------- */
 const MAX_BOARDS = 20;
 const DEFAULT_W = 1080;
 const DEFAULT_H = 1320;
 const DEFAULT_SPACING = 24;
+const AUTOSAVE_DELAY = 800;
 
 const uid = () => Math.random().toString(36).slice(2, 10);
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-const shuffle = (arr) => {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-};
 
 const PRESETS = [
   { name: "1080 x 1320 (Portrait)", w: 1080, h: 1320 },
@@ -49,122 +65,543 @@ function intersect(ax, ay, aw, ah, bx, by, bw, bh) {
   if (w <= 0 || h <= 0) return null;
   return { x: x1, y: y1, w, h };
 }
-function coverCrop(nW, nH, fW, fH, sx = 0, sy = 0, sw = fW, sh = fH) {
+// crop = { fx, fy, zoom }: focal point (0..1 of the photo) kept as close to the
+// frame centre as the edges allow, and zoom >= 1 past plain cover.
+const CROP_MAX_ZOOM = 8;
+function cropWindow(nW, nH, fW, fH, crop) {
   const fAR = fW / fH, sAR = nW / nH;
   let coverW, coverH;
   if (sAR > fAR) { coverH = nH; coverW = fAR * coverH; }
   else { coverW = nW; coverH = coverW / fAR; }
-  const srcX = (nW - coverW) / 2 + (sx / fW) * coverW;
-  const srcY = (nH - coverH) / 2 + (sy / fH) * coverH;
-  const srcW = (sw / fW) * coverW;
-  const srcH = (sh / fH) * coverH;
+  const z = clamp(crop?.zoom ?? 1, 1, CROP_MAX_ZOOM);
+  const w = coverW / z, h = coverH / z;
+  const x = clamp((crop?.fx ?? 0.5) * nW - w / 2, 0, nW - w);
+  const y = clamp((crop?.fy ?? 0.5) * nH - h / 2, 0, nH - h);
+  return { x, y, w, h };
+}
+function coverCrop(nW, nH, fW, fH, sx = 0, sy = 0, sw = fW, sh = fH, crop = null) {
+  const win = cropWindow(nW, nH, fW, fH, crop);
+  const srcX = win.x + (sx / fW) * win.w;
+  const srcY = win.y + (sy / fH) * win.h;
+  const srcW = (sw / fW) * win.w;
+  const srcH = (sh / fH) * win.h;
   return { sx: srcX, sy: srcY, sw: srcW, sh: srcH };
 }
-function useImg(src) {
-  const [img, setImg] = useState(null);
+// the <img> box (relative to the frame) that shows exactly coverCrop's pixels
+function cropImageBox(node) {
+  const c = coverCrop(node._natW, node._natH, node.w, node.h, 0, 0, node.w, node.h, node.crop);
+  const k = node.w / c.sw;
+  return { position: "absolute", left: -c.sx * k, top: -c.sy * k, width: node._natW * k, height: node._natH * k, maxWidth: "none" };
+}
+
+/* --------------------------- export helpers --------------------------- */
+const formatBytes = (n) => n < 1024 ? `${n} B` : n < 1048576 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1048576).toFixed(1)} MB`;
+
+/* -------------------------------- Modal -------------------------------- */
+// dimmed overlay with a panel; Escape or a press outside closes it
+function Modal({ onClose, style, children }) {
   useEffect(() => {
-    if (!src) return;
-    const el = new Image();
-    el.crossOrigin = "anonymous";
-    el.onload = () => setImg(el);
-    el.src = src;
-  }, [src]);
-  return img;
+    const key = (e) => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", key);
+    return () => window.removeEventListener("keydown", key);
+  }, [onClose]);
+  return (
+    <div onPointerDown={(e) => { if (e.target === e.currentTarget) onClose(); }}
+         style={{ position: "fixed", inset: 0, zIndex: 50, background: "rgba(0,0,0,0.8)", display: "flex", alignItems: "center", justifyContent: "center" }}>
+      <div style={{ display: "flex", flexDirection: "column", gap: 10, padding: 14,
+                    background: "#0b0b0b", border: "1px solid #1aff7a", borderRadius: 10, ...style }}>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+/* --------------------------- ExportSettings --------------------------- */
+function ExportSettings({ settings: s, onChange, onClose, example }) {
+  const lossy = EXPORT_FORMATS[s.format]?.lossy;
+  const row = { display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" };
+  return (
+    <Modal onClose={onClose} style={{ width: 520, maxWidth: "92vw", gap: 12, padding: 16 }}>
+      <div style={row}>
+        <span className="label">Export settings</span>
+        <span className="muted">saved with this project</span>
+        <button style={{ marginLeft: "auto" }} onClick={onClose}>Done</button>
+      </div>
+      <div style={row}>
+        <span className="label">Format</span>
+        <select value={s.format} onChange={(e) => onChange({ format: e.target.value })}>
+          {Object.entries(EXPORT_FORMATS).map(([k, f]) => <option key={k} value={k}>{f.label}</option>)}
+        </select>
+        <span className="label">Quality</span>
+        <input type="range" min={0.05} max={1} step={0.01} value={s.quality} onChange={(e) => onChange({ quality: parseFloat(e.target.value) })} />
+        <span className="muted">{Math.round(s.quality * 100)}%{lossy ? "" : " (JPG/WebP and PDF)"}</span>
+      </div>
+      <div style={row}>
+        <span className="label">Max KB per slide</span>
+        <input type="number" min={0} step={50} value={Math.round(s.maxBytes / 1024)} style={{ width: 90 }}
+               onChange={(e) => onChange({ maxBytes: Math.max(0, parseInt(e.target.value || "0", 10)) * 1024 })} />
+        <span className="muted">
+          {s.maxBytes ? "searches for the best quality under the limit (JPG/WebP/PDF)" : "0 = no limit"}
+        </span>
+      </div>
+      <div style={row}>
+        <span className="label">Colour space</span>
+        <select value={s.colorSpace} onChange={(e) => onChange({ colorSpace: e.target.value })}>
+          {Object.entries(COLOR_SPACES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        {s.colorSpace !== "srgb" && <span className="muted">PDF pages stay sRGB</span>}
+      </div>
+      <div style={row}>
+        <span className="label">Slide names</span>
+        <input type="text" value={s.fileName} style={{ flex: "1 1 200px" }} onChange={(e) => onChange({ fileName: e.target.value })} />
+      </div>
+      <div style={row}>
+        <span className="label">ZIP / PDF / spread</span>
+        <input type="text" value={s.bundleName} style={{ flex: "1 1 200px" }} onChange={(e) => onChange({ bundleName: e.target.value })} />
+      </div>
+      <div className="muted">
+        Tokens: {NAME_TOKENS.join(" ")}<br />e.g. {example}
+      </div>
+    </Modal>
+  );
+}
+
+/* --------------------------- ExportPreview --------------------------- */
+function ExportPreview({ preview: p, onDownload, onClose }) {
+  return (
+    <Modal onClose={onClose} style={{ width: "90vw", height: "85vh" }}>
+      <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+        <span className="label">{p.kind === "pdf" ? "PDF deck" : "Stitched spread"}</span>
+        <span className="muted">{p.name} · {p.info}</span>
+        <button style={{ marginLeft: "auto" }} onClick={onDownload}>Download</button>
+        <button onClick={onClose}>Close</button>
+      </div>
+      {p.kind === "pdf" ? (
+        <iframe title="PDF preview" src={p.url} style={{ flex: "1 1 auto", border: "none", background: "#222" }} />
+      ) : (
+        <div style={{ flex: "1 1 auto", overflow: "auto", display: "flex", alignItems: "center" }}>
+          <img src={p.url} alt="Stitched spread" style={{ maxWidth: "100%", maxHeight: "100%", margin: "auto" }} />
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+/* ----------------------------- ExportCheck ----------------------------- */
+// asked before exporting a spread the quality check has issues with
+const ISSUE_COLOUR = { warn: "#ffb84a", error: "#ff4a4a" };
+function ExportCheck({ issues, onExport, onReview, onClose }) {
+  const counts = Object.keys(CHECKS).map(k => [k, issues.filter(i => i.kind === k)]).filter(([, list]) => list.length);
+  return (
+    <Modal onClose={onClose} style={{ width: 420 }}>
+      <span className="label">Export with {issues.length} issue{issues.length > 1 ? "s" : ""}?</span>
+      {counts.map(([k, list]) => (
+        <span key={k} style={{ color: ISSUE_COLOUR[list.some(i => i.level === "error") ? "error" : "warn"] }}>
+          {CHECKS[k]} × {list.length}
+        </span>
+      ))}
+      <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+        <button onClick={onReview}>Review</button>
+        <button onClick={onClose}>Cancel</button>
+        <button onClick={onExport}>Export anyway</button>
+      </div>
+    </Modal>
+  );
+}
+
+/* ----------------------------- SpreadThumb ----------------------------- */
+// The editor's own views scaled down, so thumbnails show proxies, frames and
+// adjustments exactly as the spread would: the whole spread, or one board.
+function SpreadThumb({ elements, spread: s, width, board = null }) {
+  const W = s.boards * s.BW, k = width / (board === null ? W : s.BW);
+  const left = board === null ? 0 : board * s.BW;
+  const shown = elements.filter(n => {
+    if (n.hidden) return false;
+    if (board === null) return true;
+    const b = paintBounds(n);
+    return b.x < left + s.BW && left < b.x + b.w;
+  });
+  const none = () => {};
+  return (
+    <div style={{ position: "relative", width, height: s.BH * k, overflow: "hidden", borderRadius: 4 }}>
+      <div style={{ position: "absolute", left: -left * k, top: 0, width: W, height: s.BH, transform: `scale(${k})`, transformOrigin: "0 0", pointerEvents: "none" }}>
+        <BackgroundView bg={s.background} base={s.bgColour} boards={s.boards} BW={s.BW} W={W} H={s.BH} />
+        {shown.map(n => isImage(n) ? (
+          <Item key={n.id} node={n} onPointerDown={none} onDoubleClick={none} onCropZoom={none} />
+        ) : s.overlayVisible && isShape(n) ? (
+          <ShapeView key={n.id} shape={n} opacity={s.overlayOpacity} onPointerDown={none} />
+        ) : isText(n) ? (
+          <TextView key={n.id} text={n} onPointerDown={none} onDoubleClick={none} />
+        ) : null)}
+        {board === null && [...Array(s.boards - 1)].map((_, i) => (
+          <div key={i} style={{ position: "absolute", left: (i + 1) * s.BW, top: 0, bottom: 0, width: 1 / k, background: "#1aff7a55" }} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ---------------------------- ContactSheet ---------------------------- */
+// batch variants, best score first
+const pct = (v) => `${Math.round(v * 100)}%`;
+
+function ContactSheet({ variants, note, picked, spread, busy, onToggle, onOpen, onExport, onClose }) {
+  return (
+    <Modal onClose={onClose} style={{ width: "90vw", height: "85vh" }}>
+      <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+        <span className="label">Variants</span>
+        <span className="muted">{variants.length} generated · {picked.length} selected</span>
+        {note && <span className="muted" style={{ color: "#ffb84a" }}>{note}</span>}
+        <button style={{ marginLeft: "auto" }} onClick={onExport} disabled={!picked.length || busy}>Export selected (ZIP)</button>
+        <button onClick={onClose}>Close</button>
+      </div>
+      <div style={{ flex: "1 1 auto", overflow: "auto", display: "flex", flexWrap: "wrap", gap: 10, alignContent: "flex-start" }}>
+        {variants.map((v, rank) => (
+          <div key={v.id} style={{ display: "flex", flexDirection: "column", gap: 4, padding: 6, fontSize: 11, color: "#9fffbf", borderRadius: 8,
+                                   border: `1px solid ${picked.includes(v.id) ? "#1aff7a" : "#1aff7a33"}` }}>
+            <SpreadThumb elements={v.elements} spread={spread} width={360} />
+            <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <label className="check">
+                <input type="checkbox" checked={picked.includes(v.id)} onChange={() => onToggle(v.id)} /> #{rank + 1}
+              </label>
+              <strong style={{ color: "#d6ffe0" }}>{v.score.total}</strong>
+              <span title="overlap · coverage · balance across boards · empty boards">
+                overlap {pct(v.score.overlap)} · cover {pct(v.score.coverage)} · balance {pct(v.score.balance)}
+                {v.score.empty > 0 && ` · ${v.score.empty} empty`}
+              </span>
+              <button style={{ marginLeft: "auto" }} onClick={() => onOpen(v)} title={`Seed ${v.seed}`}>Open</button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </Modal>
+  );
 }
 
 /* ------------------------------- Item ------------------------------- */
-function Item({ node, selected, onSelect, onChange }) {
+// Shows the asset's downscaled proxy; _natW/_natH are the original's size, so
+// crop maths is unchanged and the proxy is just stretched over the same box.
+function Item({ node, selected, cropping, onPointerDown, onDoubleClick, onCropZoom }) {
   const ref = useRef(null);
-  const img = useImg(node.src);
-
-  useEffect(() => {
-    if (!img) return;
-    if (node._natW !== img.naturalWidth || node._natH !== img.naturalHeight) {
-      onChange({ ...node, _natW: img.naturalWidth, _natH: img.naturalHeight });
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [img]);
+  const url = useProxyURL(node.asset);
 
+  // wheel zooms the crop; bound natively so it wins over the viewport's wheel pan
   useEffect(() => {
     const el = ref.current;
-    if (!el) return;
-    let dragging = false, sx = 0, sy = 0, ox = 0, oy = 0;
-
-    const down = (e) => {
-      if (e.target.dataset.handle) return;
-      dragging = true;
-      const p = e.touches?.[0] || e;
-      sx = p.clientX; sy = p.clientY; ox = node.x; oy = node.y;
-      window.addEventListener("pointermove", move);
-      window.addEventListener("pointerup", up);
-      onSelect(node.id);
-    };
-    const move = (e) => {
-      if (!dragging) return;
-      const p = e.touches?.[0] || e;
-      onChange({ ...node, x: ox + (p.clientX - sx), y: oy + (p.clientY - sy) });
-    };
-    const up = () => {
-      dragging = false;
-      window.removeEventListener("pointermove", move);
-      window.removeEventListener("pointerup", up);
-    };
-    el.addEventListener("pointerdown", down);
-    return () => el.removeEventListener("pointerdown", down);
-  }, [node, onChange, onSelect]);
-
-  const startResize = (dir, e) => {
-    e.stopPropagation();
-    const p0 = e.touches?.[0] || e;
-    const sx = p0.clientX, sy = p0.clientY;
-    const init = { x: node.x, y: node.y, w: node.w, h: node.h };
-    const mm = (ev) => {
-      const p = ev.touches?.[0] || ev;
-      let dx = p.clientX - sx, dy = p.clientY - sy;
-      let { x, y, w, h } = init;
-      if (dir.includes("e")) w = Math.max(16, init.w + dx);
-      if (dir.includes("s")) h = Math.max(16, init.h + dy);
-      if (dir.includes("w")) { w = Math.max(16, init.w - dx); x = init.x + dx; }
-      if (dir.includes("n")) { h = Math.max(16, init.h - dy); y = init.y + dy; }
-      onChange({ ...node, x, y, w, h });
-    };
-    const uu = () => {
-      window.removeEventListener("pointermove", mm);
-      window.removeEventListener("pointerup", uu);
-    };
-    window.addEventListener("pointermove", mm);
-    window.addEventListener("pointerup", uu);
-  };
+    if (!el || !cropping) return;
+    const wheel = (e) => { e.preventDefault(); e.stopPropagation(); onCropZoom(Math.exp(-e.deltaY * 0.002)); };
+    el.addEventListener("wheel", wheel, { passive: false });
+    return () => el.removeEventListener("wheel", wheel);
+  }, [cropping, onCropZoom]);
 
+  const sized = url && node._natW && node._natH;
+  const box = sized ? cropImageBox(node) : { position: "absolute", left: 0, top: 0, width: node.w, height: node.h, objectFit: "cover" };
+  // mask, shadow and stroke share one box (see frame.js); the photo stays placed against the frame
+  const m = maskShape(node);
+  const maskBox = { position: "absolute", left: m.x, top: m.y, width: m.w, height: m.h, borderRadius: cssRadius(m) };
+  const duotoneId = `duotone-${node.id}`;
+  const duotone = node.adjust?.duotone && duotoneTables(node.adjust.duotone);
   return (
     <div
       ref={ref}
+      data-item={node.id}
       style={{
         position: "absolute", left: node.x, top: node.y, width: node.w, height: node.h,
-        border: selected ? "1px dashed rgba(180,255,180,0.8)" : "none",
-        cursor: "grab", userSelect: "none",
+        border: selected && !cropping ? "1px dashed rgba(180,255,180,0.8)" : "none",
+        outline: cropping ? "2px solid #ffd84a" : "none",
+        cursor: cropping ? "move" : "grab", userSelect: "none", touchAction: "none",
+        zIndex: cropping ? 4 : undefined,
+        transform: node.rotation ? `rotate(${node.rotation}deg)` : undefined,
+        mixBlendMode: node.adjust?.blend || "normal",
+      }}
+      onPointerDown={(e) => onPointerDown(e, node)}
+      onDoubleClick={() => onDoubleClick(node)}
+    >
+      {url ? (
+        <>
+          {cropping && sized && (
+            <img src={url} style={{ ...box, opacity: 0.35, display: "block" }} draggable={false} alt="" />
+          )}
+          {duotone && (
+            <svg width={0} height={0} style={{ position: "absolute" }} aria-hidden>
+              <filter id={duotoneId} colorInterpolationFilters="sRGB">
+                <feColorMatrix type="matrix" values={[0, 1, 2].map(() => `${LUMA.join(" ")} 0 0`).join(" ") + " 0 0 0 1 0"} />
+                <feComponentTransfer>
+                  <feFuncR type="table" tableValues={duotone[0]} />
+                  <feFuncG type="table" tableValues={duotone[1]} />
+                  <feFuncB type="table" tableValues={duotone[2]} />
+                </feComponentTransfer>
+              </filter>
+            </svg>
+          )}
+          {node.shadow && <div style={{ ...maskBox, boxShadow: cssShadow(node.shadow) }} />}
+          <div style={{ ...maskBox, overflow: "hidden", filter: cssFilter(node.adjust, duotoneId) }}>
+            <img src={url} style={{ ...box, left: box.left - m.x, top: box.top - m.y, display: "block" }} draggable={false} alt="" />
+          </div>
+          {node.stroke?.width > 0 && (
+            <div style={{ ...maskBox, boxSizing: "border-box", border: `${node.stroke.width}px solid ${node.stroke.colour}` }} />
+          )}
+        </>
+      ) : (
+        <div style={{ ...maskBox, background: "#222", display: "flex", alignItems: "center", justifyContent: "center",
+                      outline: node.asset ? "none" : "2px dashed #1aff7a88", outlineOffset: -2, color: "#9fffbf", fontSize: 14 }}>
+          {!node.asset && "Drop image"}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* --------------------------- BackgroundView --------------------------- */
+// Same geometry as paintBackground(): fills and the image span the spread.
+function BackgroundView({ bg, base, boards, BW, W, H }) {
+  const url = useProxyURL(bg.image?.asset);
+  const img = bg.image;
+  const cover = img && coverBox(img, W, H), tile = img && tileBox(img);
+  const layer = { position: "absolute", left: 0, top: 0, width: W, height: H, pointerEvents: "none" };
+  return (
+    <div style={{ ...layer, overflow: "hidden" }}>
+      {bg.kind === "boards"
+        ? [...Array(boards)].map((_, i) => (
+            <div key={i} style={{ position: "absolute", left: i * BW, top: 0, width: BW, height: H, background: boardColour(bg, base, i) }} />
+          ))
+        : <div style={{ ...layer, background: cssFill(bg, base, W, H) }} />}
+      {img && url && (img.fit === "tile" ? (
+        <div style={{ ...layer, opacity: img.opacity, backgroundImage: `url(${url})`, backgroundRepeat: "repeat",
+                      backgroundPosition: "0 0", backgroundSize: `${tile.w}px ${tile.h}px` }} />
+      ) : (
+        <img src={url} alt="" draggable={false}
+             style={{ position: "absolute", left: cover.x, top: cover.y, width: cover.w, height: cover.h, opacity: img.opacity, maxWidth: "none" }} />
+      ))}
+    </div>
+  );
+}
+
+/* ----------------------------- AssetCard ----------------------------- */
+// drag a card onto an image or empty slot to put this photo in it
+const ASSET_DRAG = "application/x-858-asset";
+function AssetCard({ asset: a, uses, onPlace, onDelete }) {
+  const url = useProxyURL(a.hash);
+  return (
+    <div title={a.name} draggable onDragStart={(e)=>e.dataTransfer.setData(ASSET_DRAG, a.hash)} style={{ width: 120, display: "flex", flexDirection: "column", gap: 4, padding: 6,
+                                 border: "1px solid #1aff7a55", borderRadius: 8, fontSize: 11, color: "#9fffbf" }}>
+      <div style={{ height: 80, background: "#111", borderRadius: 4, overflow: "hidden" }}>
+        {url && <img src={url} alt="" draggable={false} style={{ width: "100%", height: "100%", objectFit: "contain" }} />}
+      </div>
+      <span style={{ color: "#d6ffe0", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{a.name}</span>
+      <span>{a.w}×{a.h} · {formatBytes(a.size)}</span>
+      <span>{uses ? `used ×${uses}` : "unused"}</span>
+      <div style={{ display: "flex", gap: 4 }}>
+        <button onClick={onPlace}>Place</button>
+        <button onClick={onDelete} disabled={uses > 0} title={uses ? "In use on the spread" : "Remove from this browser"}>Delete</button>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------------------- TemplateCard ---------------------------- */
+// thumbnail of the spread: slots grey, shapes in their colours, text as bars
+function TemplateCard({ template: t, onApply, onExport, onDelete }) {
+  const W = t.boards * t.BW, k = 220 / W;
+  return (
+    <div title={t.name} style={{ width: 232, display: "flex", flexDirection: "column", gap: 4, padding: 6,
+                                 border: "1px solid #1aff7a55", borderRadius: 8, fontSize: 11, color: "#9fffbf" }}>
+      <div style={{ position: "relative", width: W * k, height: t.BH * k, background: t.bgColour, overflow: "hidden", borderRadius: 4 }}>
+        {[...Array(t.boards - 1)].map((_, i) => (
+          <div key={i} style={{ position: "absolute", left: (i + 1) * t.BW * k, top: 0, bottom: 0, width: 1, background: "#1aff7a55" }} />
+        ))}
+        {t.elements.map(n => (
+          <div key={n.id} style={{
+            position: "absolute", left: n.x * k, top: n.y * k, width: n.w * k, height: n.h * k,
+            transform: n.rotation ? `rotate(${n.rotation}deg)` : undefined,
+            background: n.kind === "image" ? "#555" : n.kind === "shape" ? n.colour : "transparent",
+            borderBottom: n.kind === "text" ? `2px solid ${n.colour}` : undefined,
+            borderRadius: n.kind === "shape" && n.type === "circle" ? "50%" : undefined,
+          }} />
+        ))}
+      </div>
+      <span style={{ color: "#d6ffe0", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{t.name}</span>
+      <span>{t.boards} × {t.BW}×{t.BH} · {t.elements.filter(isSlot).length} slots</span>
+      <div style={{ display: "flex", gap: 4 }}>
+        <button onClick={onApply}>Apply</button>
+        <button onClick={onExport}>Export</button>
+        <button onClick={onDelete}>Delete</button>
+      </div>
+    </div>
+  );
+}
+
+/* ----------------------------- BoardStrip ----------------------------- */
+// one thumbnail per board: click to zoom to it, drag onto another to move it
+// there; insert, duplicate and delete act on that board
+const BOARD_DRAG = "application/x-858-board";
+function BoardStrip({ elements, spread, onFocus, onInsert, onDuplicate, onDelete, onMove, maxed }) {
+  const [over, setOver] = useState(null);
+  const ours = (e) => e.dataTransfer.types.includes(BOARD_DRAG);
+  const width = Math.min(160, (110 * spread.BW) / spread.BH);
+  return (
+    <div onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setOver(null); }}
+         style={{ display: "flex", gap: 8, overflowX: "auto", alignItems: "flex-start", paddingBottom: 4 }}>
+      {[...Array(spread.boards)].map((_, i) => (
+        <div key={i} draggable
+             onDragStart={(e) => { e.dataTransfer.setData(BOARD_DRAG, String(i)); e.dataTransfer.effectAllowed = "move"; }}
+             onDragOver={(e) => { if (!ours(e)) return; e.preventDefault(); e.stopPropagation(); setOver(i); }}
+             onDrop={(e) => { if (!ours(e)) return; e.preventDefault(); e.stopPropagation(); setOver(null); onMove(parseInt(e.dataTransfer.getData(BOARD_DRAG), 10), i); }}
+             style={{ flex: "0 0 auto", display: "flex", flexDirection: "column", gap: 4, padding: 4, borderRadius: 6, cursor: "grab",
+                      fontSize: 11, color: "#9fffbf", border: `1px solid ${over === i ? "#1aff7a" : "#1aff7a33"}` }}>
+          <div onClick={() => onFocus(i)} title={`Zoom to slide ${i + 1}`}>
+            <SpreadThumb elements={elements} spread={spread} width={width} board={i} />
+          </div>
+          <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+            <span>slide {i + 1}</span>
+            <button style={{ marginLeft: "auto" }} onClick={() => onInsert(i)} disabled={maxed} title="Insert a blank board before this one">+</button>
+            <button onClick={() => onDuplicate(i)} disabled={maxed} title="Duplicate">⧉</button>
+            <button onClick={() => onDelete(i)} disabled={spread.boards < 2} title="Delete this board and everything on it">✕</button>
+          </div>
+        </div>
+      ))}
+      <button style={{ flex: "0 0 auto", alignSelf: "center" }} onClick={() => onInsert(spread.boards)} disabled={maxed}
+              title="Add a blank board at the end">+ Board</button>
+    </div>
+  );
+}
+
+/* ------------------------------ LayerRow ------------------------------ */
+// one element in the layers panel; drag a row onto another to restack it just
+// above or below that row (the green line shows which); double-click the name
+// to rename (an empty name goes back to the default)
+const LAYER_DRAG = "application/x-858-layer";
+function LayerRow({ node: n, name, board, selected, dropTarget, onSelect, onRename, onToggleHidden, onToggleLocked, onDragOver, onDrop }) {
+  const url = useProxyURL(isImage(n) ? n.asset : null);
+  const [editing, setEditing] = useState(false);
+  const ours = (e) => e.dataTransfer.types.includes(LAYER_DRAG);
+  // lower half of the row: the dragged layer goes below it, upper half above
+  const below = (e) => { const r = e.currentTarget.getBoundingClientRect(); return e.clientY > r.top + r.height / 2; };
+  return (
+    <div draggable={!editing} onClick={onSelect}
+         onDragStart={(e) => { e.dataTransfer.setData(LAYER_DRAG, n.id); e.dataTransfer.effectAllowed = "move"; }}
+         onDragOver={(e) => { if (!ours(e)) return; e.preventDefault(); e.stopPropagation(); onDragOver(below(e)); }}
+         onDrop={(e) => { if (!ours(e)) return; e.preventDefault(); e.stopPropagation(); onDrop(e.dataTransfer.getData(LAYER_DRAG), below(e)); }}
+         style={{ display: "flex", gap: 8, alignItems: "center", padding: "3px 6px", borderRadius: 6, fontSize: 12, cursor: "grab",
+                  color: n.hidden ? "#5f8f6f" : "#d6ffe0", background: selected ? "#122" : "transparent",
+                  borderTop: `2px solid ${dropTarget === "above" ? "#1aff7a" : "transparent"}`,
+                  borderBottom: `2px solid ${dropTarget === "below" ? "#1aff7a" : "transparent"}` }}>
+      <div style={{ flex: "0 0 auto", width: 40, height: 28, background: "#111", borderRadius: 3, overflow: "hidden",
+                    display: "flex", alignItems: "center", justifyContent: "center" }}>
+        {isImage(n) ? (url && <img src={url} alt="" draggable={false} style={{ width: "100%", height: "100%", objectFit: "cover" }} />)
+          : isShape(n) ? <div style={{ width: 18, height: 18, background: n.colour, borderRadius: n.type === "circle" ? "50%" : 2 }} />
+          : <span style={{ color: n.colour, fontWeight: 700 }}>T</span>}
+      </div>
+      {editing ? (
+        <input type="text" autoFocus defaultValue={name} style={{ flex: "1 1 auto", minWidth: 0 }}
+               onClick={(e) => e.stopPropagation()}
+               onBlur={(e) => { setEditing(false); onRename(e.target.value); }}
+               onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); if (e.key === "Escape") setEditing(false); }} />
+      ) : (
+        <span onDoubleClick={() => setEditing(true)} title="Double-click to rename"
+              style={{ flex: "1 1 auto", minWidth: 0, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{name}</span>
+      )}
+      <span className="muted">board {board}</span>
+      <button onClick={(e) => { e.stopPropagation(); onToggleHidden(); }}>{n.hidden ? "Show" : "Hide"}</button>
+      <button onClick={(e) => { e.stopPropagation(); onToggleLocked(); }}>{n.locked ? "Unlock" : "Lock"}</button>
+    </div>
+  );
+}
+
+/* ----------------------------- ShapeView ----------------------------- */
+function ShapeView({ shape: s, opacity, selected, onPointerDown }) {
+  const fill = { position: "absolute", background: s.colour };
+  const arm = `${PLUS_ARM * 100}%`, armOff = `${(1 - PLUS_ARM) * 50}%`;
+  // stroke / dot size, capped as drawShape() caps it
+  const lw = s.type === "arc" ? Math.min(shapeWeight(s), s.w / 2, s.h) : s.type === "line" ? Math.min(shapeWeight(s), s.w) : shapeWeight(s);
+  return (
+    <div
+      data-item={s.id}
+      style={{
+        position: "absolute", left: s.x, top: s.y, width: s.w, height: s.h,
+        opacity: opacity * (s.opacity ?? 1), transform: s.rotation ? `rotate(${s.rotation}deg)` : undefined,
+        outline: selected ? "1px dashed rgba(180,255,180,0.8)" : "none",
+        cursor: "grab", touchAction: "none",
       }}
-      onClick={() => onSelect(node.id)}
+      onPointerDown={(e) => onPointerDown(e, s)}
     >
-      {img ? (
-        <img
-          src={node.src}
-          style={{ width: "100%", height: "100%", objectFit: "cover", display: "block" }}
-          draggable={false}
-          alt=""
-        />
+      {s.type === "plus" ? (
+        <>
+          <div style={{ ...fill, left: armOff, top: 0, width: arm, height: "100%" }} />
+          <div style={{ ...fill, top: armOff, left: 0, height: arm, width: "100%" }} />
+        </>
+      ) : s.type === "line" ? (
+        <div style={{ ...fill, left: 0, top: (s.h - lw) / 2, width: s.w, height: lw, borderRadius: lw / 2 }} />
+      ) : s.type === "arc" ? (
+        <div style={{ position: "absolute", inset: 0, overflow: "hidden" }}>
+          <div style={{ position: "absolute", left: 0, top: 0, width: s.w, height: s.h * 2, boxSizing: "border-box",
+                        border: `${lw}px solid ${s.colour}`, borderRadius: "50%" }} />
+        </div>
+      ) : s.type === "triangle" ? (
+        <div style={{ ...fill, inset: 0, clipPath: "polygon(50% 0, 100% 100%, 0 100%)" }} />
+      ) : s.type === "dots" ? (
+        <div style={{ position: "absolute", inset: 0, backgroundSize: `${lw * DOT_GAP}px ${lw * DOT_GAP}px`,
+                      backgroundImage: `radial-gradient(circle, ${s.colour} ${lw / 2 - 0.5}px, transparent ${lw / 2 + 0.5}px)` }} />
       ) : (
-        <div style={{ width: "100%", height: "100%", background: "#222" }} />
+        <div style={{ ...fill, inset: 0, borderRadius: s.type === "circle" ? "50%" : 0 }} />
       )}
+    </div>
+  );
+}
+
+/* ----------------------------- TextView ----------------------------- */
+// Draws the lines layoutText() chose, one absolutely placed run per line, so
+// the browser never re-wraps them differently from the export canvas.
+function TextView({ text: t, selected, onPointerDown, onDoubleClick }) {
+  const L = layoutText(t);
+  return (
+    <div
+      data-item={t.id}
+      style={{
+        position: "absolute", left: t.x, top: t.y, width: t.w, height: L.h,
+        outline: selected ? "1px dashed rgba(180,255,180,0.8)" : "none",
+        cursor: "grab", touchAction: "none", userSelect: "none",
+      }}
+      onPointerDown={(e) => onPointerDown(e, t)}
+      onDoubleClick={() => onDoubleClick(t)}
+    >
+      {L.lines.map((line, i) => (
+        <div key={i} style={{
+          position: "absolute", left: lineOffset(t, line.width), top: i * L.lineH, height: L.lineH,
+          whiteSpace: "pre", font: fontString(t), lineHeight: `${L.lineH}px`,
+          letterSpacing: `${trackingPx(t)}px`, color: t.colour,
+        }}>{line.text}</div>
+      ))}
+    </div>
+  );
+}
 
-      {selected && ["nw","ne","sw","se"].map((dir) => {
+/* --------------------------- SelectionBox --------------------------- */
+// Shared bounding box + corner handles for the current selection.
+// rotation: a single rotated element's angle, so the handles sit on its corners;
+// onRotateStart adds the rotate knob above the top edge
+// a selection that is all locked gets a dashed outline and no handles
+function SelectionBox({ box, outline, locked, rotation = 0, onResizeStart, onRotateStart }) {
+  return (
+    <div style={{
+      position: "absolute", left: box.x, top: box.y, width: box.w, height: box.h, pointerEvents: "none",
+      outline: locked ? "1px dashed rgba(180,255,180,0.9)" : outline ? "1px solid rgba(180,255,180,0.9)" : "none",
+      transform: rotation ? `rotate(${rotation}deg)` : undefined,
+    }}>
+      {!locked && onRotateStart && (
+        <span data-handle onPointerDown={onRotateStart} title="Drag to rotate • Shift snaps to 15°"
+              style={{ position: "absolute", left: "50%", top: -28, width: 14, height: 14, borderRadius: "50%",
+                       background: "#0e0e0e", border: "1px solid #88ff88", transform: "translate(-50%,-50%)",
+                       pointerEvents: "auto", cursor: "grab", touchAction: "none" }} />
+      )}
+      {!locked && ["nw","ne","sw","se"].map((dir) => {
         const base = {
-          position: "absolute", width: 12, height: 12, background: "#0e0e0e",
-          border: "1px solid #88ff88", borderRadius: 2, transform: "translate(-50%,-50%)"
+          position: "absolute", width: 12, height: 12, background: "#0e0e0e", pointerEvents: "auto",
+          border: "1px solid #88ff88", borderRadius: 2, transform: "translate(-50%,-50%)", touchAction: "none",
         };
         const pos = { nw:{left:0,top:0}, ne:{left:"100%",top:0}, sw:{left:0,top:"100%"}, se:{left:"100%",top:"100%"} }[dir];
         return (
-          <span key={dir} data-handle onPointerDown={(e)=>startResize(dir,e)}
+          <span key={dir} data-handle onPointerDown={(e)=>onResizeStart(dir,e)}
                 style={{ ...base, ...pos, cursor:`${dir}-resize` }} />
         );
       })}
@@ -181,60 +618,381 @@ export default function App() {
   const [spacing, setSpacing] = useState(DEFAULT_SPACING);
 
   /* preview */
-  const [zoom, setZoom] = useState(0.62);
+  const viewport = useViewport();
+  const zoom = viewport.zoom;
   const [showGuides, setShowGuides] = useState(true);
   const [guideColour, setGuideColour] = useState("#00ff5c");
   const [guideAlpha, setGuideAlpha] = useState(0.35);
 
   /* content */
-  const [images, setImages] = useState([]);
-  const [selected, setSelected] = useState(null);
+  const [elements, setElements] = useState([]);   // images, overlay shapes and text; array order is the stack
+  const images = elements.filter(isImage);
+  const overlayShapes = elements.filter(isShape);
+  // layouts and generators work on one kind; results go back into that kind's stack slots
+  const setKind = (kind) => (upd) => setElements(prev =>
+    replaceKind(prev, kind, typeof upd === "function" ? upd(prev.filter(n => n.kind === kind)) : upd));
+  const setImages = setKind("image");
+  const setOverlayShapes = setKind("shape");
+  const [selection, setSelection] = useState([]);        // image ids; groups are always selected whole
+  const [cropId, setCropId] = useState(null);             // image in crop mode (double-click)
+  const [marquee, setMarquee] = useState(null);           // {x0,y0,x1,y1} in spread coords while rubber-banding
+
+  /* snapping / arrange */
+  const [snapOn, setSnapOn] = useState(true);             // hold Alt while dragging to bypass
+  const [guides, setGuides] = useState([]);               // smart guides shown during a drag
+  const [alignTo, setAlignTo] = useState("board");        // "board" | "selection"
+
+  /* grid layouts (parameters, see layouts.js) */
+  const [rowHeight, setRowHeight] = useState(360);         // justified rows: target height
+  const [rowFill, setRowFill] = useState(true);            // ...or fill the board height
+  const [gridTemplates, setGridTemplates] = useState("3x2, 2x2");
+  const [overlayCount, setOverlayCount] = useState(18);                 // overlay shapes per board
+  const [overlaySize, setOverlaySize] = useState({ min: 1, max: 1 });    // size range, x the base sizes
+  const [overlayDistribution, setOverlayDistribution] = useState("random");
+  const [overlayConstraint, setOverlayConstraint] = useState("any");    // images: any / avoid / only
+  const [perSeam, setPerSeam] = useState(1);              // continuity: images across each seam
+  const [minVisible, setMinVisible] = useState(160);      // ...showing at least this much per side
 
   /* overlay shapes */
   const [overlayVisible, setOverlayVisible] = useState(true);
-  const [overlayOnTop, setOverlayOnTop] = useState(true);     // <-- NEW: layer control
   const [overlayOpacity, setOverlayOpacity] = useState(1);
   const [overlayColourA, setOverlayColourA] = useState("#1aff5c");
   const [overlayColourB, setOverlayColourB] = useState("#00a0ff");
-  const [overlayShapes, setOverlayShapes] = useState([]); // {id, type:'bar'|'rect'|'circle'|'plus', board, x,y,w,h,r,s}
 
-  /* colours favourites (background) */
+  /* colours: named palettes (palette.js); the background favourites row is the active one */
   const [bgColour, setBgColour] = useState("#000");
-  const [fav, setFav] = useState(() => {
-    const raw = localStorage.getItem("favColours858");
-    return raw ? JSON.parse(raw) : ["#000000", "#0b0b0b", "#ffffff", "#00ff5c", "#00c0ff", "#ff00ff"];
-  });
-  useEffect(()=>localStorage.setItem("favColours858", JSON.stringify(fav)), [fav]);
+  const [palettes, setPalettes] = useState(loadPalettes);
+  const [paletteIndex, setPaletteIndex] = useState(0);
+  useEffect(()=>savePalettes(palettes), [palettes]);
+  const fav = palettes[paletteIndex]?.colours || [];
+  const setFav = (upd) => setPalettes(prev => prev.map((p,i) => i === paletteIndex ? { ...p, colours: typeof upd === "function" ? upd(p.colours) : upd } : p));
+  const [extracted, setExtracted] = useState(null);        // suggestPalette() of the photos, while shown
+  const [background, setBackground] = useState(BACKGROUND_DEFAULTS);   // gradients, per-board colours, image (background.js)
 
   /* export */
   const [exportScale, setExportScale] = useState(2);
+  const [exportSettings, setExportSettings] = useState(EXPORT_DEFAULTS);   // saved per project
+  const [showExportSettings, setShowExportSettings] = useState(false);
+
+  /* text */
+  const [fonts, setFonts] = useState([]);                 // uploaded fonts: { family, src }
+  const textInput = useRef(null);
+
+  /* randomness: every generator runs from `seed` */
+  const [seed, setSeed] = useState(() => randomSeed());
+  const [seedDraft, setSeedDraft] = useState(null);      // text while the seed field is being edited
+  const [seedLocked, setSeedLocked] = useState(false);
+  const lastGen = useRef(null);                          // { label, run(rng) } bound to the input it started from
+
+  /* project */
+  const [projectName, setProjectName] = useState("858 art club");
+  const [projectStatus, setProjectStatus] = useState("");
+  const [restored, setRestored] = useState(false);   // don't autosave over a session before it's loaded
 
   /* computed */
   const SPREAD_W = boards * BW;
   const SPREAD_H = BH;
 
+  /* ------------- project doc (save / open / autosave) ------------- */
+  const doc = {
+    projectName, boards, BW, BH, spacing, bgColour, background, elements, seed,
+    overlayVisible, overlayOpacity, overlayColourA, overlayColourB, fonts, exportSettings,
+  };
+  const applyDoc = (d) => {
+    setProjectName(d.projectName ?? "858 art club");
+    setBoards(d.boards); setBW(d.BW); setBH(d.BH); setSpacing(d.spacing);
+    setBgColour(d.bgColour); setBackground(withBackgroundDefaults(d.background)); setElements(d.elements);
+    setSeed(d.seed ?? randomSeed());
+    setOverlayVisible(d.overlayVisible); setOverlayOpacity(d.overlayOpacity);
+    setOverlayColourA(d.overlayColourA); setOverlayColourB(d.overlayColourB);
+    setFonts(d.fonts ?? []);
+    setExportSettings(withExportDefaults(d.exportSettings));
+    (d.fonts ?? []).forEach(f => registerFont(f).catch(err => setProjectStatus(`Couldn't load font ${f.family}: ${err.message}`)));
+  };
+  const history = useHistory(() => doc, applyDoc);
+  // any edit ends the seed stepping of the last generator (see goToSeed)
+  const checkpoint = (label, opts) => { lastGen.current = null; history.checkpoint(label, opts); };
+  const act = (label, fn) => (...args) => { checkpoint(label); return fn(...args); };
+
+  useEffect(() => {
+    const onKey = (e) => {
+      const typing = e.target.closest?.("input, select, textarea");
+      if (cropId && (e.key === "Escape" || e.key === "Enter") && !typing) { setCropId(null); return; }
+      if ((e.key === "Delete" || e.key === "Backspace") && !typing) { e.preventDefault(); deleteSelection(); return; }
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input[type=text], input[type=number], textarea, select")) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) { e.preventDefault(); history.undo(); }
+      else if ((k === "z" && e.shiftKey) || k === "y") { e.preventDefault(); history.redo(); }
+      else if (k === "0") { e.preventDefault(); fitSpread(); }
+      else if (k === "1") { e.preventDefault(); viewport.actualSize(); }
+      else if (k === "g" && !e.shiftKey) { e.preventDefault(); groupSelection(); }
+      else if (k === "g" && e.shiftKey) { e.preventDefault(); ungroupSelection(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  useEffect(() => {
+    loadAutosave()
+      .then(d => { if (d) { applyDoc(d); history.reset(); setProjectStatus("Restored last session"); } })
+      .catch(err => setProjectStatus(`Couldn't restore last session: ${err.message}`))
+      .finally(() => setRestored(true));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+  useEffect(() => {
+    if (!restored) return;
+    fitSpread();
+    refreshAssets();
+    loadTemplates().then(setTemplates).catch(err => setProjectStatus(`Couldn't load templates: ${err.message}`));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [restored]);
+  useEffect(() => {
+    if (!restored) return;
+    const t = setTimeout(() => autosaveProject(doc).catch(err => setProjectStatus(`Autosave failed: ${err.message}`)), AUTOSAVE_DELAY);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [restored, projectName, boards, BW, BH, spacing, bgColour, background, elements, seed,
+      overlayVisible, overlayOpacity, overlayColourA, overlayColourB, fonts, exportSettings]);
+
+  // web fonts measure with fallback metrics until they arrive; re-wrap once they do
+  useEffect(() => {
+    const refit = () => {
+      clearTextCache();
+      setElements(prev => prev.some(isText) ? prev.map(n => isText(n) ? fitText(n) : n) : prev);
+    };
+    document.fonts.addEventListener("loadingdone", refit);
+    return () => document.fonts.removeEventListener("loadingdone", refit);
+  }, []);
+
+  const saveProjectFile = async () => {
+    try {
+      const blob = await saveProject(doc); const url = URL.createObjectURL(blob);
+      downloadURL(url, `${projectName || "untitled"}${PROJECT_EXT}`); URL.revokeObjectURL(url);
+      setProjectStatus(`Saved ${new Date().toLocaleTimeString()}`);
+    } catch (err) { setProjectStatus(`Save failed: ${err.message}`); }
+  };
+  const openProjectFile = async (file) => {
+    try { const d = await openProject(file); checkpoint("Open project"); applyDoc(d); setSelection([]); refreshAssets();
+      viewport.fitRect({ x: 0, y: 0, w: d.boards * d.BW, h: d.BH }); setProjectStatus(`Opened ${file.name}`); }
+    catch (err) { setProjectStatus(`Open failed: ${err.message}`); }
+  };
+
+  /* ------------- seeded generators ------------- */
+  // Unlocked: each run draws a fresh seed. Locked: runs reuse the current seed.
+  // Stepping or typing a seed re-runs the last generator on the input it started
+  // from, until something else is edited: then the seed just changes, so a seed
+  // step never throws away hand edits made since the generator ran.
+  const generate = (label, run) => {
+    const next = seedLocked ? seed : randomSeed();
+    checkpoint(label);
+    lastGen.current = { label, run };
+    setSeed(next);
+    run(createRng(next));
+  };
+  const goToSeed = (next) => {
+    next = next >>> 0;
+    if (next === seed) return;
+    if (lastGen.current) {
+      history.checkpoint(`${lastGen.current.label} (seed)`, { coalesce:true });
+      lastGen.current.run(createRng(next));
+    }
+    setSeed(next);
+  };
+  const commitSeedDraft = () => {
+    const v = parseInt(seedDraft, 10);
+    if (Number.isFinite(v)) goToSeed(clamp(v, 0, SEED_MAX));
+    setSeedDraft(null);
+  };
+
   /* ------------- load files ------------- */
+  // originals go to the asset store (once per distinct file); elements keep the hash
   const addFiles = async (fileList) => {
-    const read = (f) => new Promise((res, rej) => {
-      const r = new FileReader(); r.onload = () => res(r.result); r.onerror = rej; r.readAsDataURL(f);
-    });
-    const out = [];
-    for (const f of fileList) {
+    const added = [];
+    for (const f of Array.from(fileList)) {
       if (!f.type?.startsWith("image/")) continue;
-      const src = await read(f);
+      try { added.push(await putAsset(f)); }
+      catch (err) { setProjectStatus(`Couldn't read ${f.name}: ${err.message}`); }
+    }
+    if (!added.length) return;
+    refreshAssets();
+    placeAssets(added);
+  };
+  const placeAssets = (assets) => {
+    const out = [];
+    const rng = createRng(stepSeed(seed, images.length));
+    for (const a of assets) {
       out.push({
-        id: uid(), src,
-        w: Math.floor(BW * (0.28 + Math.random() * 0.18)),
-        h: Math.floor(BH * (0.28 + Math.random() * 0.18)),
-        x: Math.floor(Math.random() * (SPREAD_W - BW)),
-        y: Math.floor(Math.random() * (SPREAD_H - BH)),
+        id: uid(), kind: "image", asset: a.hash, _natW: a.w, _natH: a.h,
+        w: Math.floor(BW * (0.28 + rng() * 0.18)),
+        h: Math.floor(BH * (0.28 + rng() * 0.18)),
+        x: Math.floor(rng() * (SPREAD_W - BW)),
+        y: Math.floor(rng() * (SPREAD_H - BH)),
       });
     }
+    checkpoint(out.length > 1 ? "Add images" : "Add image");
     setImages((p) => [...p, ...out]);
   };
 
+  /* asset panel */
+  const [assets, setAssets] = useState([]);              // stored originals (metadata only)
+  const [showAssets, setShowAssets] = useState(false);
+  const refreshAssets = () => listAssets().then(setAssets).catch(err => setProjectStatus(`Couldn't list stored images: ${err.message}`));
+  const assetUse = new Map();
+  for (const n of images) assetUse.set(n.asset, (assetUse.get(n.asset) || 0) + 1);
+  if (background.image) assetUse.set(background.image.asset, (assetUse.get(background.image.asset) || 0) + 1);
+
+  /* templates: the arrangement without its photos (templates.js) */
+  const [templates, setTemplates] = useState([]);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [templateName, setTemplateName] = useState("");
+  // batch mode: generator settings and the last run's variants, best first ({ id, seed, elements, score })
+  const [batch, setBatch] = useState({ layout: "randomise", overlay: "keep", count: 12 });
+  const [variants, setVariants] = useState([]);
+  const [variantsNote, setVariantsNote] = useState("");   // what the contact sheet should say about the run
+  const [pickedVariants, setPickedVariants] = useState([]);
+  const [showVariants, setShowVariants] = useState(false);
+  const storeTemplates = (list) => {
+    setTemplates(list);
+    saveTemplates(list).catch(err => setProjectStatus(`Couldn't save templates: ${err.message}`));
+  };
+  const saveAsTemplate = () => {
+    const name = templateName.trim() || `${projectName || "Template"} ${templates.length + 1}`;
+    const overlay = { visible: overlayVisible, opacity: overlayOpacity, colourA: overlayColourA, colourB: overlayColourB,
+                      count: overlayCount, size: overlaySize, distribution: overlayDistribution, constraint: overlayConstraint };
+    storeTemplates([...templates, templateFrom(name, { boards, BW, BH, spacing, bgColour, background, overlay, elements, fonts })]);
+    setTemplateName(""); setShowTemplates(true);
+    setProjectStatus(`Saved template ${name}`);
+  };
+  // slots take the images on the spread now, closest aspect ratio first
+  const applyTemplate = (t) => {
+    checkpoint(`Template ${t.name}`);
+    setBoards(t.boards); setBW(t.BW); setBH(t.BH); setSpacing(t.spacing);
+    setBgColour(t.bgColour);
+    // a background image only carries over if this browser still has it
+    const bgImage = t.background?.image && assets.some(a => a.hash === t.background.image.asset) ? t.background.image : null;
+    setBackground(withBackgroundDefaults({ ...t.background, image: bgImage }));
+    const o = t.overlay || {};
+    setOverlayVisible(o.visible ?? true); setOverlayOpacity(o.opacity ?? 1);
+    if (o.colourA) setOverlayColourA(o.colourA);
+    if (o.colourB) setOverlayColourB(o.colourB);
+    if (o.count != null) setOverlayCount(o.count);
+    if (o.size) setOverlaySize(o.size);
+    if (o.distribution) setOverlayDistribution(o.distribution);
+    if (o.constraint) setOverlayConstraint(o.constraint);
+    const families = new Set(fonts.map(f => f.family));
+    const newFonts = (t.fonts || []).filter(f => !families.has(f.family));
+    newFonts.forEach(f => registerFont(f).catch(err => setProjectStatus(`Couldn't load font ${f.family}: ${err.message}`)));
+    if (newFonts.length) setFonts(prev => [...prev, ...newFonts]);
+    setElements(fillTemplate(t, images, uid));
+    setSelection([]); setCropId(null);
+  };
+  const exportTemplate = (t) =>
+    downloadBlob(new Blob([templateToJSON(t)], { type: "application/json" }), `${fileNameFrom(t.name, {})}${TEMPLATE_EXT}`);
+  const importTemplates = async (files) => {
+    const added = [];
+    for (const f of Array.from(files || [])) {
+      try { added.push(templateFromJSON(await f.text())); }
+      catch (err) { setProjectStatus(`Couldn't import ${f.name}: ${err.message}`); }
+    }
+    if (added.length) { storeTemplates([...templates, ...added]); setShowTemplates(true); }
+  };
+  // a photo dropped on an image or empty slot replaces what's in it
+  const fillImage = (id, a) => {
+    checkpoint("Replace image");
+    setImages(prev => prev.map(n => n.id === id ? fillFrame(n, { asset: a.hash, _natW: a.w, _natH: a.h }) : n));
+    setSelection([id]);
+  };
+  const dropOnSpread = async (e) => {
+    e.preventDefault();
+    const id = e.target.closest?.("[data-item]")?.dataset.item;
+    const target = id && images.find(n => n.id === id);
+    const hash = e.dataTransfer.getData(ASSET_DRAG);
+    const dragged = hash && assets.find(a => a.hash === hash);
+    if (dragged) { if (target) fillImage(target.id, dragged); else placeAssets([dragged]); return; }
+    if (!target) { addFiles(e.dataTransfer.files); return; }
+    const file = Array.from(e.dataTransfer.files).find(f => f.type?.startsWith("image/"));
+    if (!file) return;
+    try { const a = await putAsset(file); refreshAssets(); fillImage(target.id, a); }
+    catch (err) { setProjectStatus(`Couldn't read ${file.name}: ${err.message}`); }
+  };
+
+  /* background */
+  const updateBackground = (label, patch) => {
+    checkpoint(label, { coalesce:true });
+    setBackground(b => ({ ...b, ...patch }));
+  };
+  const setBoardColour = (i, c) => updateBackground("Board colour", {
+    boardColours: Array.from({ length: boards }, (_, k) => k === i ? c : background.boardColours[k] || null),
+  });
+  const pickBackgroundAsset = (a) => updateBackground("Background image", {
+    image: a ? { fit: "cover", tile: Math.round(BW / 3), opacity: 1, ...background.image, asset: a.hash, _natW: a.w, _natH: a.h } : null,
+  });
+  const uploadBackground = async (file) => {
+    try { const a = await putAsset(file); refreshAssets(); pickBackgroundAsset(a); }
+    catch (err) { setProjectStatus(`Couldn't read ${file.name}: ${err.message}`); }
+  };
+  const removeAsset = async (a) => {
+    if (assetUse.get(a.hash)) return;
+    await deleteAsset(a.hash);
+    refreshAssets();
+  };
+
+  /* palettes */
+  // first three colours: background, overlay A, overlay B (shapes still using the old A/B follow)
+  const applyPalette = (colours) => {
+    const [bg, a, b] = colours;
+    checkpoint("Apply palette");
+    if (bg) setBgColour(bg);
+    if (a) { recolourOverlay(overlayColourA, a); setOverlayColourA(a); }
+    if (b) { recolourOverlay(overlayColourB, b); setOverlayColourB(b); }
+  };
+  const addPalette = (name, colours) => {
+    setPalettes(prev => [...prev, { name, colours }]);
+    setPaletteIndex(palettes.length);
+  };
+  const deletePalette = () => {
+    if (palettes.length < 2) return;
+    setPalettes(prev => prev.filter((_, i) => i !== paletteIndex));
+    setPaletteIndex(0);
+  };
+  const renamePalette = (name) => setPalettes(prev => prev.map((p,i) => i === paletteIndex ? { ...p, name } : p));
+  // from the selected images, or every image; reads the editing proxies
+  const extractPalette = async () => {
+    const from = selectedImages.length ? selectedImages : images;
+    const bitmaps = [];
+    let missing = 0;
+    try {
+      for (const hash of new Set(from.filter(n => n.asset).map(n => n.asset))) {
+        const blob = await getProxyBlob(hash);
+        if (blob) bitmaps.push(await createImageBitmap(blob)); else missing++;
+      }
+      const s = suggestPalette(dominantColours(bitmaps));
+      if (!s) setProjectStatus("No images to take colours from");
+      else if (missing) setProjectStatus(`${missing} image${missing>1?"s":""} missing from this browser, left out of the palette`);
+      setExtracted(s);
+    } catch (err) {
+      setProjectStatus(`Couldn't extract a palette: ${err.message}`);
+    } finally {
+      for (const b of bitmaps) b.close();
+    }
+  };
+  const importPalettes = async (file) => {
+    try {
+      const list = /\.ase$/i.test(file.name)
+        ? palettesFromASE(await file.arrayBuffer(), file.name.replace(/\.ase$/i, ""))
+        : palettesFromJSON(await file.text());
+      setPalettes(prev => [...prev, ...list]);
+      setPaletteIndex(palettes.length);
+      setProjectStatus(`Imported ${list.length} palette${list.length>1?"s":""}`);
+    } catch (err) {
+      setProjectStatus(`Couldn't import ${file.name}: ${err.message}`);
+    }
+  };
+
   /* ---------- overlap-safe random & pack & editorial ---------- */
-  const noOverlapPlace = (arr) => {
+  // layouts run through withGroups so grouped images move as one block
+  const noOverlapPlace = (arr, rng) => {
     const cell = Math.max(16, Math.floor(Math.min(BW, BH) / 12));
     const occupied = [];
     const fits = (x,y,w,h) => !occupied.some(o => !(x + w <= o.x || o.x + o.w <= x || y + h <= o.y || o.y + o.h <= y));
@@ -244,9 +1002,9 @@ export default function App() {
       const w = Math.min(n.w, BW - spacing * 2), h = Math.min(n.h, BH - spacing * 2);
       let attempts = 0, placed = false;
       while (attempts++ < 2000 && !placed) {
-        const b = Math.floor(Math.random()*boards);
-        const px = b*BW + spacing + Math.floor(Math.random() * ((BW - w - spacing*2) / cell)) * cell;
-        const py = spacing + Math.floor(Math.random() * ((BH - h - spacing*2) / cell)) * cell;
+        const b = randInt(rng, boards);
+        const px = b*BW + spacing + Math.floor(rng() * ((BW - w - spacing*2) / cell)) * cell;
+        const py = spacing + Math.floor(rng() * ((BH - h - spacing*2) / cell)) * cell;
         if (fits(px, py, w + spacing, h + spacing)) {
           take(px, py, w + spacing, h + spacing);
           res.push({ ...n, x: px, y: py, w, h });
@@ -265,12 +1023,14 @@ export default function App() {
     }
     return res;
   };
-  const randomise = () => setImages(prev => noOverlapPlace(shuffle(prev)));
+  // each layout returns the arranged images, so batch mode can run it without touching the spread
+  const randomised = (imgs, rng) => withGroups(imgs, units => noOverlapPlace(shuffle(units, rng), rng));
+  const randomise = (rng) => setImages(randomised(images, rng));
 
-  const pack = () => {
+  const packed = (imgs) => withGroups(imgs, units => {
     const placed = [];
-    const sorted = [...images].sort((a,b)=>b.w*b.h - a.w*a.h);
-    const res = sorted.map(n=>{
+    const sorted = [...units].sort((a,b)=>b.w*b.h - a.w*a.h);
+    return sorted.map(n=>{
       for (let by = spacing; by <= BH - n.h - spacing; by += Math.max(8, spacing)) {
         for (let bxBoard = 0; bxBoard < boards; bxBoard++) {
           for (let bx = bxBoard*BW + spacing; bx <= (bxBoard+1)*BW - n.w - spacing; bx += Math.max(8, spacing)) {
@@ -287,17 +1047,17 @@ export default function App() {
       const keep = { ...n, x: clamp(n.x, spacing, SPREAD_W - n.w - spacing), y: clamp(n.y, spacing, SPREAD_H - n.h - spacing) };
       placed.push(keep); return keep;
     });
-    setImages(res);
-  };
+  });
+  const pack = () => setImages(packed(images));
 
-  const editorial = (seamless=false) => {
+  const editorialed = (imgs, seamless, rng) => withGroups(imgs, units => {
     const colsPerBoard = 3;
     const totalCols = colsPerBoard * boards;
     const gutters = spacing;
     const colW = (BW - gutters * (colsPerBoard + 1)) / colsPerBoard;
-    const order = shuffle(images);
+    const order = shuffle(units, rng);
     const heights = new Array(totalCols).fill(gutters);
-    const out = order.map((n, i) => {
+    return order.map((n, i) => {
       const colIdx = i % totalCols;
       const boardIdx = Math.floor(colIdx / colsPerBoard);
       const within = colIdx % colsPerBoard;
@@ -308,21 +1068,24 @@ export default function App() {
       heights[colIdx] += h + (seamless ? 0 : gutters);
       return { ...n, x, y, w, h };
     });
-    setImages(out);
-  };
+  });
+  const editorial = (seamless, rng) => setImages(editorialed(images, seamless, rng));
+
+  // pure layouts from layouts.js; the seed decides the order (and continuity's placement)
+  const runLayout = (layout, params) => (rng) =>
+    setImages(withGroups(images, units => layout(shuffle(units, rng), geometry, params, rng)));
 
   const snapBottom = () => {
-    setImages(prev => prev.map(n=>{
+    setImages(prev => withGroups(prev, units => units.map(n=>{
       const b = Math.floor(n.x/BW);
       const xw = n.x - b*BW;
       return { ...n, x: b*BW + clamp(xw, spacing, BW - n.w - spacing), y: BH - n.h - spacing };
-    }));
+    })));
   };
 
-  const distributeBoards = () => {
-    if (!images.length) return;
-    const per = Math.ceil(images.length / boards);
-    const order = shuffle(images);
+  const distributed = (imgs, rng) => withGroups(imgs, units => {
+    const per = Math.ceil(units.length / boards);
+    const order = shuffle(units, rng);
     const res = [];
     for (let b=0;b<boards;b++){
       const slice = order.slice(b*per, b*per + per);
@@ -331,185 +1094,699 @@ export default function App() {
         const w = clamp(n.w || BW*0.32, BW*0.22, BW - spacing*2);
         const h = clamp(n.h || BH*0.24, BH*0.18, BH - spacing*2);
         if (y + h + spacing > BH) y = spacing;
-        const x = b*BW + spacing + Math.random()*(BW - w - spacing*2);
+        const x = b*BW + spacing + rng()*(BW - w - spacing*2);
         res.push({ ...n, x, y, w, h });
         y += h + spacing;
       }
     }
-    setImages(res);
+    return res;
+  });
+  const distributeBoards = (rng) => {
+    if (images.length) setImages(distributed(images, rng));
   };
 
   const fixBounds = () => {
-    setImages(prev=>prev.map(n=>({
+    setImages(prev=>withGroups(prev, units => units.map(n=>({
       ...n,
       x: clamp(n.x, spacing, SPREAD_W - n.w - spacing),
       y: clamp(n.y, spacing, SPREAD_H - n.h - spacing),
       w: Math.min(n.w, BW - spacing*2),
       h: Math.min(n.h, BH - spacing*2),
-    })));
+    }))));
   };
 
   const resetLayout = () => {
-    setImages(prev => prev.map((n,i)=>({
+    setImages(prev => withGroups(prev, units => units.map((n,i)=>({
       ...n,
       x: (i%boards)*BW + spacing,
       y: spacing,
       w: clamp(n.w || BW*0.32, BW*0.24, BW - spacing*2),
       h: clamp(n.h || BH*0.24, BH*0.18, BH - spacing*2),
-    })));
+    }))));
+  };
+
+  /* z order (whole selection, images and shapes share the stack) */
+  const reorder = (how) => { if(!selection.length) return; setElements(prev => reorderSelection(prev, selection, how)); };
+  const sendToBack = () => reorder("back");
+  const bringToFront = () => reorder("front");
+  const bringForward = () => reorder("forward");
+  const sendBackward = () => reorder("backward");
+
+  /* boards: insert / delete / duplicate / reorder, taking their content along (boards.js) */
+  const [showBoards, setShowBoards] = useState(false);
+  const applyBoardOrder = (label, order, opts) => {
+    if (!order.length || order.length > MAX_BOARDS) return;
+    checkpoint(label, opts);
+    const r = reorderBoards(order, { elements, boardColours: background.boardColours }, { boards, BW }, uid);
+    setBoards(r.boards);
+    setElements(r.elements);
+    setBackground(b => ({ ...b, boardColours: r.boardColours }));
+    setSelection(sel => sel.filter(id => r.elements.some(n => n.id === id)));
+    setCropId(null);
+  };
+  const insertBoard = (at) => applyBoardOrder("Insert board", insertOrder(boards, at));
+  const deleteBoard = (at) => { if (boards > 1) applyBoardOrder("Delete board", deleteOrder(boards, at)); };
+  const duplicateBoard = (at) => applyBoardOrder("Duplicate board", duplicateOrder(boards, at));
+  const moveBoard = (from, to) => { if (from !== to) applyBoardOrder("Move board", moveOrder(boards, from, to)); };
+  // the Boards field adds blank boards at the end but only takes empty ones
+  // away; boards with content go through deleteBoard
+  const resizeBoards = (n) => {
+    const least = Math.min(boards, boardsInUse(elements, { BW }));
+    if (n < least) setProjectStatus(`Slide ${least} has content: delete slides from the board strip to remove them`);
+    const to = Math.max(n, least);
+    if (to !== boards) applyBoardOrder("Boards", resizeOrder(boards, to), { coalesce: true });
+  };
+
+  /* groups */
+  const groupSelection = () => {
+    if (selection.length < 2) return;
+    checkpoint("Group");
+    const gid = uid(), sel = new Set(selection);
+    setElements(prev => prev.map(n => sel.has(n.id) ? { ...n, groupId: gid } : n));
+  };
+  const ungroupSelection = () => {
+    const sel = new Set(selection);
+    if (!elements.some(n => sel.has(n.id) && n.groupId)) return;
+    checkpoint("Ungroup");
+    setElements(prev => prev.map(n => sel.has(n.id) ? { ...n, groupId: undefined } : n));
+  };
+
+  /* layers panel: the stack top first, with per-element visibility and locks */
+  const [showLayers, setShowLayers] = useState(false);
+  const [layerOver, setLayerOver] = useState(null);      // { id, below } of the row a layer is dragged over
+  const assetNames = new Map(assets.map(a => [a.hash, a.name.replace(/\.[^.]+$/, "")]));
+  const layerName = (n) => n.name || (
+    isImage(n) ? (n.asset ? assetNames.get(n.asset) || "Image" : "Empty slot")
+    : isText(n) ? n.text.split("\n")[0].slice(0, 32) || "Text"
+    : n.type[0].toUpperCase() + n.type.slice(1));
+  const layerBoards = (n) => {
+    const b = frameBounds(n);
+    const first = clamp(Math.floor(b.x / BW), 0, boards - 1), last = clamp(Math.ceil((b.x + b.w) / BW) - 1, 0, boards - 1);
+    return first === last ? `${first + 1}` : `${first + 1}–${last + 1}`;
+  };
+  const updateLayer = (label, id, patch) => {
+    checkpoint(label);
+    setElements(prev => prev.map(n => n.id === id ? { ...n, ...patch } : n));
+  };
+  const toggleHidden = (n) => {
+    updateLayer(n.hidden ? "Show layer" : "Hide layer", n.id, { hidden: !n.hidden || undefined });
+    if (!n.hidden) setSelection(sel => sel.filter(id => id !== n.id));
+  };
+  const toggleLocked = (n) => updateLayer(n.locked ? "Unlock layer" : "Lock layer", n.id, { locked: !n.locked || undefined });
+  const renameLayer = (n, value) => {
+    const name = value.trim();
+    if (name === layerName(n) || name === (n.name || "")) return;
+    updateLayer("Rename layer", n.id, { name: name || undefined });
+  };
+  // dropping a row on another puts it at that row's place in the stack
+  // The panel lists the stack top first, so landing below a row means just
+  // under it in the stack, above a row just over it.
+  const dropLayer = (id, onto, below) => {
+    setLayerOver(null);
+    if (!id || id === onto) return;
+    checkpoint("Reorder layers");
+    setElements(prev => {
+      const t = prev.filter(n => n.id !== id).findIndex(n => n.id === onto);
+      return moveInStack(prev, id, below ? t : t + 1);
+    });
+  };
+  // picks buried elements the spread can't reach; shift toggles like on the spread
+  const selectLayer = (e, n) => {
+    if (n.hidden) return;
+    setCropId(null);
+    const unit = expandToGroups(elements, [n.id]);
+    if (!e.shiftKey) { setSelection(unit); return; }
+    setSelection(selection.includes(n.id) ? selection.filter(id => !unit.includes(id)) : [...new Set([...selection, ...unit])]);
+  };
+
+  /* ---------------- pointer interactions ---------------- */
+  const geometry = { boards, BW, BH, spacing };
+  // hidden layers can't be picked; locked ones can, but don't move
+  const selectable = elements.filter(n => !n.hidden && (overlayVisible || !isShape(n)));
+  const selectedNodes = selectable.filter(n => selection.includes(n.id));
+  const selectionBox = boundsOf(selectedNodes);
+
+  // Things a seam would cut badly: text crossing one, or an image whose focal
+  // point lands within SEAM_FOCAL_PX of the cut.
+  const SEAM_FOCAL_PX = 40;
+  const seamWarnings = [];
+  for (const n of elements) {
+    if (n.hidden) continue;
+    if (isText(n)) {
+      for (const c of seamsCrossed(n, geometry)) seamWarnings.push({ id: n.id, seam: c.seam, y: n.y, h: n.h, what: `Text “${n.text.split("\n")[0].slice(0, 24)}”` });
+    } else if (isImage(n) && n._natW) {
+      const win = cropWindow(n._natW, n._natH, n.w, n.h, n.crop);
+      const fx = n.x + ((n.crop?.fx ?? 0.5) * n._natW - win.x) * (n.w / win.w);
+      for (const c of seamsCrossed(n, geometry)) {
+        if (Math.abs(fx - c.seam * BW) < SEAM_FOCAL_PX) seamWarnings.push({ id: n.id, seam: c.seam, y: n.y, h: n.h, what: "Image focal point" });
+      }
+    }
+  }
+
+  // the quality check (quality.js), live; exports ask first while it finds anything
+  const [showIssues, setShowIssues] = useState(false);
+  const [issuesOnCanvas, setIssuesOnCanvas] = useState(true);
+  const [pendingExport, setPendingExport] = useState(null);    // export waiting on "Export anyway"
+  const issues = checkSpread(elements, geometry, {
+    scale: exportScale, srcOf: n => coverCrop(n._natW, n._natH, n.w, n.h, 0, 0, n.w, n.h, n.crop),
+  });
+  const issueErrors = issues.filter(i => i.level === "error").length;
+  const checked = (run) => () => { if (issues.length) setPendingExport(() => run); else run(); };
+  const showIssue = (i) => {
+    if (i.ids.length) { setCropId(null); setSelection(expandToGroups(selectable, i.ids)); }
+    const pad = Math.max(40, i.box.w * 0.25, i.box.h * 0.25);
+    viewport.fitRect({ x: i.box.x - pad, y: i.box.y - pad, w: i.box.w + pad * 2, h: i.box.h + pad * 2 });
+  };
+
+  // drag helper: reports the pointer's travel in spread units (follows live pan/zoom)
+  const trackPointer = (e, onMove) => {
+    const p0 = viewport.toSpread(e.clientX, e.clientY);
+    const mm = (ev) => {
+      if (viewport.isPinching()) return;
+      const p = viewport.toSpread(ev.clientX, ev.clientY);
+      onMove(p.x - p0.x, p.y - p0.y, ev);
+    };
+    const uu = (ev) => {
+      window.removeEventListener("pointermove", mm);
+      window.removeEventListener("pointerup", uu);
+      onMove(null, null, ev);
+    };
+    window.addEventListener("pointermove", mm);
+    window.addEventListener("pointerup", uu);
+  };
+
+  // press on an image: shift toggles it (and its group), otherwise drag the selection
+  const startMove = (e, node) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    if (cropId === node.id) return startCropDrag(e, node);
+    if (cropId) setCropId(null);
+    const unit = expandToGroups(selectable, [node.id]);
+    if (e.shiftKey) {
+      const has = selection.includes(node.id);
+      setSelection(has ? selection.filter(id => !unit.includes(id)) : [...new Set([...selection, ...unit])]);
+      return;
+    }
+    const ids = selection.includes(node.id) ? selection : unit;
+    setSelection(ids);
+    const moving = selectable.filter(n => ids.includes(n.id) && !n.locked);
+    const start = new Map(moving.map(n => [n.id, { x: n.x, y: n.y }]));
+    const box0 = boundsOf(moving);
+    const targets = snapTargets(geometry, selectable.filter(n => !start.has(n.id)));
+    let moved = false;
+    trackPointer(e, (dx, dy, ev) => {
+      if (dx === null) { setGuides([]); return; }
+      if (!moved) { moved = true; checkpoint(start.size > 1 ? "Move selection" : `Move ${node.kind}`); }
+      if (snapOn && !ev.altKey) {
+        const snap = snapRect({ ...box0, x: box0.x + dx, y: box0.y + dy }, targets, SNAP_SCREEN_PX / zoom, { geometry });
+        dx += snap.dx; dy += snap.dy; setGuides(snap.guides);
+      } else setGuides([]);
+      setElements(prev => prev.map(n => start.has(n.id) ? { ...n, x: start.get(n.id).x + dx, y: start.get(n.id).y + dy } : n));
+    });
+  };
+
+  // corner handle on the selection box: scale every selected image with the box
+  const startResize = (dir, e) => {
+    e.stopPropagation();
+    const nodes = selectedNodes.filter(n => !n.locked);
+    if (!nodes.length) return;
+    const init = boundsOf(nodes);
+    // one rotated element: resize in its own axes, keeping the opposite corner where it is on screen
+    const turned = nodes.length === 1 && nodes[0].rotation ? nodes[0].rotation : 0;
+    if (turned) return startTurnedResize(dir, e, nodes[0]);
+    const ids = new Set(nodes.map(n => n.id));
+    const targets = snapTargets(geometry, selectable.filter(n => !ids.has(n.id)));
+    const edges = {
+      x: dir.includes("e") ? ["end"] : ["start"],
+      y: dir.includes("s") ? ["end"] : ["start"],
+    };
+    let moved = false;
+    trackPointer(e, (dx, dy, ev) => {
+      if (dx === null) { setGuides([]); return; }
+      if (!moved) { moved = true; checkpoint(nodes.length > 1 ? "Resize selection" : `Resize ${nodes[0].kind}`); }
+      let { x, y, w, h } = init;
+      if (dir.includes("e")) w = Math.max(16, init.w + dx);
+      if (dir.includes("s")) h = Math.max(16, init.h + dy);
+      if (dir.includes("w")) { w = Math.max(16, init.w - dx); x = init.x + init.w - w; }
+      if (dir.includes("n")) { h = Math.max(16, init.h - dy); y = init.y + init.h - h; }
+      if (snapOn && !ev.altKey) {
+        const snap = snapRect({ x, y, w, h }, targets, SNAP_SCREEN_PX / zoom, { geometry, edges });
+        if (dir.includes("e")) w += snap.dx; else { x += snap.dx; w -= snap.dx; }
+        if (dir.includes("s")) h += snap.dy; else { y += snap.dy; h -= snap.dy; }
+        setGuides(snap.guides);
+      } else setGuides([]);
+      // text boxes change their wrap width; the type size stays put
+      const fit = (n) => isShape(n) ? constrainShape(n) : isText(n) ? fitText(n) : n;
+      const next = new Map(mapIntoBox(nodes, init, { x, y, w, h }).map(n => [n.id, fit(n)]));
+      setElements(prev => prev.map(n => ids.has(n.id) ? next.get(n.id) : n));
+    });
   };
 
-  /* z order images */
-  const sendToBack = () => { if(!selected) return;
-    setImages(prev => { const i=prev.findIndex(n=>n.id===selected); if(i<0)return prev; const a=[...prev]; const [it]=a.splice(i,1); a.unshift(it); return a; });};
-  const bringToFront = () => { if(!selected) return;
-    setImages(prev => { const i=prev.findIndex(n=>n.id===selected); if(i<0)return prev; const a=[...prev]; const [it]=a.splice(i,1); a.push(it); return a; });};
-  const bringForward = () => { if(!selected) return;
-    setImages(prev => { const i=prev.findIndex(n=>n.id===selected); if(i<0||i===prev.length-1)return prev; const a=[...prev]; [a[i],a[i+1]]=[a[i+1],a[i]]; return a; });};
-  const sendBackward = () => { if(!selected) return;
-    setImages(prev => { const i=prev.findIndex(n=>n.id===selected); if(i<=0)return prev; const a=[...prev]; [a[i],a[i-1]]=[a[i-1],a[i]]; return a; });};
+  const startTurnedResize = (dir, e, node) => {
+    const sx = dir.includes("e") ? 1 : -1, sy = dir.includes("s") ? 1 : -1;
+    // the fixed corner, on screen
+    const c0 = { x: node.x + node.w/2, y: node.y + node.h/2 };
+    const a0 = rotateVec(-sx * node.w/2, -sy * node.h/2, node.rotation);
+    const anchor = { x: c0.x + a0.x, y: c0.y + a0.y };
+    let moved = false;
+    trackPointer(e, (dx, dy) => {
+      if (dx === null) return;
+      if (!moved) { moved = true; checkpoint(`Resize ${node.kind}`); }
+      const d = rotateVec(dx, dy, -node.rotation);
+      const w = Math.max(16, node.w + sx * d.x), h = Math.max(16, node.h + sy * d.y);
+      const a = rotateVec(-sx * w/2, -sy * h/2, node.rotation);
+      const next = { ...node, x: anchor.x - a.x - w/2, y: anchor.y - a.y - h/2, w, h };
+      setElements(prev => prev.map(n => n.id === node.id ? (isShape(n) ? constrainShape(next) : next) : n));
+    });
+  };
+
+  // knob above the selection: turn every selected image/shape about its own centre
+  const startRotate = (e) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    const nodes = selectedNodes.filter(n => !n.locked);
+    if (!nodes.length) return;
+    const start = new Map(nodes.map(n => [n.id, n.rotation || 0]));
+    const box = boundsOf(nodes);
+    const c = { x: box.x + box.w/2, y: box.y + box.h/2 };
+    const p0 = viewport.toSpread(e.clientX, e.clientY);
+    const a0 = Math.atan2(p0.y - c.y, p0.x - c.x);
+    let moved = false;
+    trackPointer(e, (dx, dy, ev) => {
+      if (dx === null) return;
+      if (!moved) { moved = true; checkpoint(nodes.length > 1 ? "Rotate selection" : `Rotate ${nodes[0].kind}`); }
+      const delta = (Math.atan2(p0.y + dy - c.y, p0.x + dx - c.x) - a0) * 180 / Math.PI;
+      const snap = (deg) => ev.shiftKey ? Math.round(deg / ROTATE_SNAP) * ROTATE_SNAP : deg;
+      // a lone element snaps to absolute angles, a selection turns in steps
+      const turn = (r) => normalizeAngle(nodes.length === 1 ? snap(r + delta) : r + snap(delta));
+      setElements(prev => prev.map(n => start.has(n.id) ? { ...n, rotation: turn(start.get(n.id)) } : n));
+    });
+  };
+
+  /* crop mode: drag the photo inside its frame, wheel/slider zooms past cover */
+  const cropNode = images.find(n => n.id === cropId) || null;
+  const toggleCrop = (node) => {
+    if (cropId === node.id) { setCropId(null); return; }
+    setCropId(node.id); setSelection([node.id]);
+  };
+  const setCrop = (id, fn) => setImages(prev => prev.map(n => {
+    if (n.id !== id || !n._natW) return n;
+    const c = { fx: 0.5, fy: 0.5, zoom: 1, ...n.crop };
+    const next = { ...c, ...fn(c, n) };
+    // store the focal point the frame actually achieves so later zooms stay put
+    const win = cropWindow(n._natW, n._natH, n.w, n.h, next);
+    return { ...n, crop: { ...next, fx: (win.x + win.w/2) / n._natW, fy: (win.y + win.h/2) / n._natH } };
+  }));
+  const startCropDrag = (e, node) => {
+    if (!node._natW) return;
+    const win = cropWindow(node._natW, node._natH, node.w, node.h, node.crop);
+    const k = win.w / node.w;     // photo px per spread unit
+    const cx0 = win.x + win.w/2, cy0 = win.y + win.h/2;
+    let moved = false;
+    trackPointer(e, (dx, dy) => {
+      if (dx === null) return;
+      if (!moved) { moved = true; checkpoint("Crop image"); }
+      const d = rotateVec(dx, dy, -(node.rotation || 0));     // in the frame's own axes
+      setCrop(node.id, () => ({ fx: (cx0 - d.x*k) / node._natW, fy: (cy0 - d.y*k) / node._natH }));
+    });
+  };
+  const cropZoomTo = (zoomFn) => {
+    if (!cropId) return;
+    checkpoint("Crop zoom", { coalesce:true });
+    setCrop(cropId, (c) => ({ zoom: clamp(zoomFn(c.zoom), 1, CROP_MAX_ZOOM) }));
+  };
+  const resetCrop = () => {
+    if (!cropId) return;
+    checkpoint("Reset crop");
+    setImages(prev => prev.map(n => n.id === cropId ? { ...n, crop: undefined } : n));
+  };
+
+  /* align / distribute the selection (groups move as one block) */
+  const boardMarginBox = (n) => {
+    const b = clamp(Math.floor((n.x + n.w / 2) / BW), 0, boards - 1);
+    return { x: b*BW + spacing, y: spacing, w: BW - spacing*2, h: BH - spacing*2 };
+  };
+  const arrangeSelection = (fn) => {
+    if (!selection.length) return;
+    setElements(prev => {
+      const next = new Map(withGroups(prev.filter(n => selection.includes(n.id)), fn).map(n => [n.id, n]));
+      return prev.map(n => next.get(n.id) || n);
+    });
+  };
+  const alignSelection = (how) => arrangeSelection(units => {
+    const box = boundsOf(units);
+    return alignNodes(units, how, n => (alignTo === "selection" && units.length > 1) ? box : boardMarginBox(n));
+  });
+  const distributeSelection = (axis) => arrangeSelection(units => distributeNodes(units, axis));
+
+  // press on empty spread: rubber-band select (shift adds to the selection)
+  const startMarquee = (e) => {
+    if (e.button !== 0 || e.target.closest("[data-item],[data-handle]")) return;
+    setCropId(null);
+    const { x: x0, y: y0 } = viewport.toSpread(e.clientX, e.clientY);
+    const additive = e.shiftKey, base = additive ? selection : [];
+    trackPointer(e, (dx, dy, ev) => {
+      if (dx !== null) { setMarquee({ x0, y0, x1: x0 + dx, y1: y0 + dy }); return; }
+      setMarquee(null);
+      const { x: x1, y: y1 } = viewport.toSpread(ev.clientX, ev.clientY);
+      const m = { x: Math.min(x0, x1), y: Math.min(y0, y1), w: Math.abs(x1 - x0), h: Math.abs(y1 - y0) };
+      if (m.w < 3 && m.h < 3) { if (!additive) setSelection([]); return; }
+      const hits = selectable.filter(n => { const b = frameBounds(n); return intersect(b.x, b.y, b.w, b.h, m.x, m.y, m.w, m.h); }).map(n => n.id);
+      setSelection([...new Set([...base, ...expandToGroups(selectable, hits)])]);
+    });
+  };
 
   /* ---------------- overlay shapes ---------------- */
-  const regenOverlay = (mode="bars") => {
+  // generated shapes take colour A, circles colour B; each can be restyled afterwards
+  const MODE_TYPE = { bars:"bar", rects:"rect", circles:"circle", plus:"plus", lines:"line", arcs:"arc", triangles:"triangle", dots:"dots" };
+  const shapeColour = (type) => type === "circle" ? overlayColourB : overlayColourA;
+  const shapeSize = (type, rng) => {
+    if (type==="bar") return { w: 6 + rng()*14, h: 60 + rng()*(BH*0.35) };
+    if (type==="rect") return { w: 40 + rng()*120, h: 20 + rng()*90 };
+    if (type==="line") return { w: 60 + rng()*240, h: 16 };
+    if (type==="arc") { const d = 40 + rng()*140; return { w: d, h: d/2 }; }
+    if (type==="triangle") { const d = 24 + rng()*70; return { w: d, h: d*0.87 }; }
+    if (type==="dots") return { w: 60 + rng()*180, h: 40 + rng()*140 };
+    const d = type==="circle" ? 2*(10 + rng()*40) : 10 + rng()*36;
+    return { w: d, h: d };
+  };
+  // (x,y) is the top-left for bars/rects and the centre for circles/plus
+  const makeShape = (type, x, y, { w, h }) => {
+    const centred = type==="circle" || type==="plus";
+    return { id: uid(), kind:"shape", type, x: centred ? x - w/2 : x, y: centred ? y - h/2 : y, w, h,
+             colour: shapeColour(type), opacity: 1, rotation: 0 };
+  };
+  // Points come from the chosen distribution (patterns.js); a shape whose box
+  // still breaks the image constraint is dropped, so constrained boards can
+  // end up with fewer than overlayCount. Bars and rects get centred on the point.
+  const overlayFor = (mode, rng, imgs = images) => {
     const shapes = [];
-    const perBoard = 18;
+    const test = imageConstraint(overlayConstraint, imgs);
+    // random points are cheap: draw spares to make up for rejected shapes
+    const spare = overlayDistribution === "random" && overlayConstraint !== "any" ? 3 : 1;
     for (let b=0;b<boards;b++){
-      for (let i=0;i<perBoard;i++){
-        const x = b*BW + Math.random()*BW;
-        const y = Math.random()*BH;
-        const pick = (m) => {
-          if (m!=="mixed") return m;
-          return ["bars","rects","circles","plus"][Math.floor(Math.random()*4)];
-        };
-        const kind = pick(mode);
-        if (kind==="bars") {
-          const w = 6 + Math.random()*14;
-          const h = 60 + Math.random()* (BH*0.35);
-          shapes.push({ id: uid(), type:"bar", board:b, x, y, w, h });
-        } else if (kind==="rects") {
-          const w = 40 + Math.random()*120;
-          const h = 20 + Math.random()*90;
-          shapes.push({ id: uid(), type:"rect", board:b, x, y, w, h });
-        } else if (kind==="circles") {
-          const r = 10 + Math.random()*40;
-          shapes.push({ id: uid(), type:"circle", board:b, x, y, r });
-        } else if (kind==="plus") {
-          const s = 10 + Math.random()*36;
-          shapes.push({ id: uid(), type:"plus", board:b, x, y, s });
-        }
+      const points = overlayPoints(b, geometry, { distribution: overlayDistribution, count: overlayCount * spare, constraint: overlayConstraint }, rng, imgs);
+      let placed = 0;
+      for (const p of points) {
+        if (placed >= overlayCount) break;
+        const type = mode==="mixed" ? pick(rng, SHAPE_TYPES) : MODE_TYPE[mode];
+        // rhythm alternates big and small beats; otherwise anywhere in the range
+        const k = overlayDistribution === "rhythm" ? (p.beat % 2 ? overlaySize.min : overlaySize.max)
+                                                  : overlaySize.min + rng()*(overlaySize.max - overlaySize.min);
+        const size = shapeSize(type, rng);
+        const s = makeShape(type, p.x, p.y, { w: size.w*k, h: size.h*k });
+        if (type!=="circle" && type!=="plus") { s.x -= s.w/2; s.y -= s.h/2; }
+        s.rotation = p.angle;
+        if (overlayDistribution !== "edges" && !test.box(frameBounds(s))) continue;
+        shapes.push(s); placed++;
       }
     }
-    setOverlayShapes(shapes);
-  };
-  const randomiseOverlay = () => {
-    if (!overlayShapes.length) return regenOverlay("mixed");
-    setOverlayShapes(shuffle(overlayShapes).map(s=>{
-      const typePool = ["bar","rect","circle","plus"];
-      const t = Math.random()<0.35 ? typePool[Math.floor(Math.random()*4)] : s.type;
-      if (t==="bar"||t==="rect") {
-        const w = t==="bar" ? 6 + Math.random()*14 : 40 + Math.random()*120;
-        const h = t==="bar" ? 60 + Math.random()* (BH*0.35) : 20 + Math.random()*90;
-        return { ...s, type:t, x:(Math.floor(s.x/BW))*BW + Math.random()*BW, y: Math.random()*BH, w, h, r:undefined, s:undefined };
-      } else if (t==="circle") {
-        const r = 10 + Math.random()*40;
-        return { ...s, type:"circle", x:(Math.floor(s.x/BW))*BW + Math.random()*BW, y: Math.random()*BH, r, w:undefined, h:undefined, s:undefined };
-      } else {
-        const S = 10 + Math.random()*36;
-        return { ...s, type:"plus", x:(Math.floor(s.x/BW))*BW + Math.random()*BW, y: Math.random()*BH, s:S, w:undefined, h:undefined, r:undefined };
-      }
-    }));
+    return shapes;
+  };
+  // locked and hidden shapes sit the generators out, keeping their place in the
+  // stack as withGroups does for locked images; fresh shapes take the other slots
+  const pinned = (s) => s.locked || s.hidden;
+  const keepPinned = (fresh) => {
+    let k = 0;
+    const out = overlayShapes.map(s => pinned(s) ? s : fresh[k++]).filter(Boolean);
+    return [...out, ...fresh.slice(k)];
+  };
+  const regenOverlay = (mode, rng) => setOverlayShapes(keepPinned(overlayFor(mode, rng)));
+  const randomiseOverlay = (rng) => {
+    if (!overlayShapes.length) return regenOverlay("mixed", rng);
+    setOverlayShapes(keepPinned(shuffle(overlayShapes.filter(s => !pinned(s)), rng).map(s=>{
+      const t = rng()<0.35 ? pick(rng, SHAPE_TYPES) : s.type;
+      const x = Math.floor((s.x + s.w/2)/BW)*BW + rng()*BW, y = rng()*BH;
+      const next = makeShape(t, x, y, shapeSize(t, rng));
+      return t === s.type ? { ...s, x: next.x, y: next.y, w: next.w, h: next.h } : { ...next, id: s.id, groupId: s.groupId, name: s.name };
+    })));
+  };
+
+  /* editing individual shapes */
+  const SHAPE_DEFAULT_SIZE = { bar: { w:14, h:240 }, rect: { w:120, h:70 }, circle: { w:80, h:80 }, plus: { w:40, h:40 },
+                               line: { w:200, h:16 }, arc: { w:160, h:80 }, triangle: { w:80, h:70 }, dots: { w:160, h:120 } };
+  const viewportCentre = () => {
+    const r = viewport.ref.current.getBoundingClientRect();
+    return viewport.toSpread(r.left + r.width/2, r.top + r.height/2);
   };
+  const addShape = (type) => {
+    const c = viewportCentre();
+    const size = SHAPE_DEFAULT_SIZE[type];
+    const shape = makeShape(type, clamp(c.x, 0, SPREAD_W), clamp(c.y, 0, SPREAD_H), size);
+    if (type!=="circle" && type!=="plus") { shape.x -= size.w/2; shape.y -= size.h/2; }
+    checkpoint(`Add ${type}`);
+    setOverlayVisible(true);
+    setElements(prev => [...prev, shape]);
+    setSelection([shape.id]);
+  };
+
+  /* text */
+  const addText = () => {
+    const c = viewportCentre();
+    const t = fitText({ id: uid(), kind: "text", ...TEXT_DEFAULTS, x: 0, y: 0 });
+    t.x = clamp(c.x, 0, SPREAD_W) - t.w/2; t.y = clamp(c.y, 0, SPREAD_H) - t.h/2;
+    checkpoint("Add text");
+    setElements(prev => [...prev, t]);
+    setSelection([t.id]);
+  };
+  const editText = (node) => { setSelection([node.id]); requestAnimationFrame(() => textInput.current?.select()); };
+  const selectedTexts = selectedNodes.filter(isText);
+  const styleTexts = (label, patch) => {
+    if (!selectedTexts.length) return;
+    checkpoint(label, { coalesce:true });
+    const sel = new Set(selectedTexts.map(n => n.id));
+    setElements(prev => prev.map(n => sel.has(n.id) ? fitText({ ...n, ...patch }) : n));
+  };
+  const uploadFonts = async (files) => {
+    const added = [];
+    for (const file of Array.from(files || [])) {
+      try { const f = await fontFromFile(file); await registerFont(f); added.push(f); }
+      catch (err) { setProjectStatus(`Font ${file.name} failed: ${err.message}`); }
+    }
+    if (!added.length) return;
+    checkpoint(added.length > 1 ? "Add fonts" : `Add font ${added[0].family}`);
+    const families = new Set(added.map(f => f.family));
+    setFonts(prev => [...prev.filter(f => !families.has(f.family)), ...added]);
+  };
+  const fontFamilies = [...SYSTEM_FONTS, ...fonts.map(f => f.family)];
+
+  const deleteSelection = () => {
+    if (!selection.length) return;
+    checkpoint(selection.length > 1 ? "Delete selection" : "Delete");
+    const sel = new Set(selection);
+    setElements(prev => prev.filter(n => !sel.has(n.id)));
+    setSelection([]); setCropId(null);
+  };
+  const selectedImages = selectedNodes.filter(isImage);
+  const adjustImages = (label, patch) => {
+    if (!selectedImages.length) return;
+    checkpoint(label, { coalesce:true });
+    const sel = new Set(selectedImages.map(n => n.id));
+    setElements(prev => prev.map(n => sel.has(n.id) ? { ...n, adjust: patch && { ...withAdjustDefaults(n.adjust), ...patch } } : n));
+  };
+  const styleImages = (label, patch) => {
+    if (!selectedImages.length) return;
+    checkpoint(label, { coalesce:true });
+    const sel = new Set(selectedImages.map(n => n.id));
+    setElements(prev => prev.map(n => sel.has(n.id) ? { ...n, ...patch } : n));
+  };
+  const selectedShapes = selectedNodes.filter(isShape);
+  const styleShapes = (label, patch) => {
+    if (!selectedShapes.length) return;
+    checkpoint(label, { coalesce:true });
+    const sel = new Set(selectedShapes.map(n => n.id));
+    setElements(prev => prev.map(n => sel.has(n.id) ? { ...n, ...patch } : n));
+  };
+  // Colour A/B are the defaults for new shapes; changing one also recolours shapes still using it
+  const recolourOverlay = (from, to) =>
+    setElements(prev => prev.map(n => isShape(n) && n.colour?.toLowerCase() === from.toLowerCase() ? { ...n, colour: to } : n));
+  const overlayToBack = () => setElements(prev => [...prev.filter(isShape), ...prev.filter(n => !isShape(n))]);
+  const overlayToFront = () => setElements(prev => [...prev.filter(n => !isShape(n)), ...prev.filter(isShape)]);
 
   /* ---------------- export (no distortion) ---------------- */
-  function buildOps(boardIndex) {
+  // ops in stack order, plain data for the export worker (see render.js):
+  // { img: asset hash, src, frame, adjust } for images, { shape } for overlay shapes, { text, layout }
+  function buildOps(boardIndex, els = elements) {
     const boardX = boardIndex * BW;
     const ops = [];
-    for (const n of images) {
-      const hit = intersect(n.x, n.y, n.w, n.h, boardX, 0, BW, BH);
-      if (!hit) continue;
+    for (const n of els) {
+      if (n.hidden) continue;
+      if (isShape(n)) { if (overlayVisible) ops.push({ shape:n }); continue; }
+      if (isText(n)) { if (intersect(n.x, n.y, n.w, n.h, boardX, 0, BW, BH)) ops.push({ text:n, layout: layoutText(n) }); continue; }
+      // every board the frame (or its shadow) reaches paints all of it; the slice clip splits it
+      const b = paintBounds(n);
+      if (!intersect(b.x, b.y, b.w, b.h, boardX, 0, BW, BH)) continue;
       if (!n._natW || !n._natH) continue;
-      const fx = hit.x - n.x, fy = hit.y - n.y;
-      const cover = coverCrop(n._natW, n._natH, n.w, n.h, fx, fy, hit.w, hit.h);
-      ops.push({ img:n, src:cover, dst:{ dx: hit.x - boardX, dy: hit.y, dw: hit.w, dh: hit.h }});
+      const src = coverCrop(n._natW, n._natH, n.w, n.h, 0, 0, n.w, n.h, n.crop);
+      const frame = { x: n.x, y: n.y, w: n.w, h: n.h, rotation: n.rotation, mask: n.mask, radius: n.radius, stroke: n.stroke, shadow: n.shadow };
+      ops.push({ img:n.asset, src, frame, adjust:n.adjust });
     }
     return ops;
   }
+  // one output image per board, or every board side by side for the stitched spread
+  const exportFormat = EXPORT_FORMATS[exportSettings.format] || EXPORT_FORMATS.png;
+  const encoding = (format = exportFormat) => ({
+    type: format.type, quality: exportSettings.quality, maxBytes: exportSettings.maxBytes, colorSpace: exportSettings.colorSpace,
+  });
+  const boardRender = (i, enc = encoding(), scale = exportScale, els = elements) => {
+    const w = Math.floor(BW * scale);
+    return { width: w, height: Math.floor(BH * scale), scale, ...enc, slices: [{ board: i, px: 0, w, ops: buildOps(i, els) }] };
+  };
+  const spreadRender = (scale) => {
+    const w = Math.floor(BW * scale);
+    return { width: w * boards, height: Math.floor(BH * scale), scale, ...encoding(), maxBytes: 0,
+             slices: [...Array(boards)].map((_, i) => ({ board: i, px: i * w, w, ops: buildOps(i) })) };
+  };
+  const nameTokens = { project: projectName || "untitled", boards, w: BW * exportScale, h: BH * exportScale, scale: exportScale };
+  const slideName = (i, format = exportFormat) => `${fileNameFrom(exportSettings.fileName, { ...nameTokens, board: i + 1 })}.${format.ext}`;
+  const bundleName = (ext, suffix = "") => `${fileNameFrom(exportSettings.bundleName, nameTokens)}${suffix}.${ext}`;
+  // slides the quality search could not bring under the size limit
+  const overBudget = (blobs) => {
+    const n = exportSettings.maxBytes ? blobs.filter(b => b.size > exportSettings.maxBytes).length : 0;
+    if (n) setProjectStatus(`${n} slide${n>1?"s":""} over ${formatBytes(exportSettings.maxBytes)} even at lowest quality`);
+    return blobs;
+  };
 
-  async function renderBoard(boardIndex, type="image/png", quality=0.95, scale=exportScale) {
-    const canvas = document.createElement("canvas");
-    canvas.width = BW * scale; canvas.height = BH * scale;
-    const ctx = canvas.getContext("2d");
-    // background
-    ctx.fillStyle = bgColour || "#000"; ctx.fillRect(0,0,canvas.width,canvas.height);
-
-    const drawOverlay = () => {
-      ctx.globalAlpha = overlayOpacity;
-      for (const s of overlayShapes) {
-        const bx = boardIndex * BW;
-        const ax = s.x - bx;
-        if (ax < -BW || ax > BW) continue;
-        if (s.type==="bar" || s.type==="rect") {
-          ctx.fillStyle = overlayColourA;
-          ctx.fillRect(Math.round((s.x - bx) * scale), Math.round(s.y * scale),
-            Math.round((s.w||0) * scale), Math.round((s.h||0) * scale));
-        } else if (s.type==="circle") {
-          ctx.fillStyle = overlayColourB;
-          ctx.beginPath();
-          ctx.arc(Math.round((s.x - bx)*scale), Math.round(s.y*scale), (s.r||0)*scale, 0, Math.PI*2);
-          ctx.fill();
-        } else if (s.type==="plus") {
-          ctx.fillStyle = overlayColourA;
-          const sz = (s.s||18)*scale;
-          const cx = (s.x - bx)*scale, cy = s.y*scale;
-          ctx.fillRect(Math.round(cx - sz*0.15), Math.round(cy - sz*0.5), Math.round(sz*0.3), Math.round(sz));
-          ctx.fillRect(Math.round(cx - sz*0.5), Math.round(cy - sz*0.15), Math.round(sz), Math.round(sz*0.3));
-        }
-      }
-      ctx.globalAlpha = 1;
-    };
+  const [exportProgress, setExportProgress] = useState(null);   // { label, boards: [0..1] } while rendering
+  const exportAbort = useRef(null);
+  const [exportPreview, setExportPreview] = useState(null);     // { kind, url, name, info }
+  const showPreview = (p) => setExportPreview(prev => { if (prev) URL.revokeObjectURL(prev.url); return p; });
+  const closePreview = () => showPreview(null);
 
-    // If overlay is behind, draw it first
-    if (overlayVisible && !overlayOnTop) drawOverlay();
-
-    // draw images
-    const ops = buildOps(boardIndex);
-    for (const op of ops) {
-      const el = new Image(); el.crossOrigin="anonymous";
-      await new Promise(res=>{ el.onload=res; el.src=op.img.src; });
-      ctx.drawImage(el, op.src.sx, op.src.sy, op.src.sw, op.src.sh,
-        Math.round(op.dst.dx*scale), Math.round(op.dst.dy*scale),
-        Math.round(op.dst.dw*scale), Math.round(op.dst.dh*scale));
+  // fn(render) resolves to a preview to show, or nothing when it downloaded directly
+  const runExport = (label, fn) => async () => {
+    if (exportAbort.current) return;
+    const ctrl = new AbortController();
+    exportAbort.current = ctrl;
+    setExportProgress({ label, boards: Array(boards).fill(0) });
+    const render = async (renders) => {
+      // originals, not the editing proxies
+      const sources = new Map();
+      const hashes = imageIds(renders);
+      if (background.image) hashes.add(background.image.asset);
+      for (const hash of hashes) sources.set(hash, await getAssetBlob(hash));
+      return renderImages({ BW, W: SPREAD_W, H: SPREAD_H, bgColour, background, overlayOpacity }, renders, {
+        images: sources, fonts, signal: ctrl.signal,
+        onProgress: (board, value) => setExportProgress(p => p && { ...p, boards: p.boards.map((v, i) => i === board ? value : v) }),
+      });
+    };
+    try {
+      const preview = await fn(render);
+      if (ctrl.signal.aborted) throw abortError();
+      if (preview) showPreview(preview);
+    } catch (err) {
+      setProjectStatus(err.name === "AbortError" ? "Export cancelled" : `Export failed: ${err.message}`);
+    } finally {
+      exportAbort.current = null;
+      setExportProgress(null);
     }
+  };
+  const cancelExport = () => exportAbort.current?.abort();
 
-    // If overlay is on top, draw it now
-    if (overlayVisible && overlayOnTop) drawOverlay();
-
-    const ext = type === "image/jpeg" ? "jpg" : "png";
-    const name = `858 art club_${boardIndex+1}.${ext}`;
-    const dataUrl = canvas.toDataURL(type, quality);
-    return { name, dataUrl };
-  }
   const downloadURL = (dataUrl, filename) => {
     const a = document.createElement("a"); a.href = dataUrl; a.download = filename;
     document.body.appendChild(a); a.click(); a.remove();
   };
-  const exportPNG = async () => { for (let i=0;i<boards;i++){ const {name,dataUrl}=await renderBoard(i,"image/png",0.95); downloadURL(dataUrl,name);} };
-  const exportJPG = async () => { for (let i=0;i<boards;i++){ const {name,dataUrl}=await renderBoard(i,"image/jpeg",0.92); downloadURL(dataUrl,name);} };
-  const exportZIP = async () => {
+  const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    downloadURL(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+  const boardRenders = (enc) => [...Array(boards)].map((_, i) => boardRender(i, enc));
+  const exportSlides = runExport(`Export ${exportFormat.label}`, async (render) => {
+    overBudget(await render(boardRenders())).forEach((b, i) => downloadBlob(b, slideName(i)));
+  });
+  const exportZIP = runExport("Export ZIP", async (render) => {
     const zip = new JSZip();
-    for (let i=0;i<boards;i++){ const {name,dataUrl}=await renderBoard(i,"image/png",0.95); zip.file(name, dataUrl.split(",")[1], {base64:true}); }
-    const blob = await zip.generateAsync({type:"blob"}); const url=URL.createObjectURL(blob);
-    downloadURL(url, "858 art club.zip"); URL.revokeObjectURL(url);
+    overBudget(await render(boardRenders())).forEach((b, i) => zip.file(slideName(i), b));
+    downloadBlob(await zip.generateAsync({type:"blob"}), bundleName("zip"));
+  });
+
+  /* deck + panorama: shown in a preview, downloaded from there */
+  const exportPDF = runExport("Export PDF", async (render) => {
+    // pages are tagged DeviceRGB with no ICC profile, which readers take as sRGB
+    const blobs = overBudget(await render(boardRenders({ ...encoding(EXPORT_FORMATS.jpeg), colorSpace: "srgb" })));
+    const pages = [];
+    for (const b of blobs) pages.push({ jpeg: new Uint8Array(await b.arrayBuffer()), width: BW*exportScale, height: BH*exportScale, pageW: BW, pageH: BH });
+    const blob = buildPdf(pages, { title: projectName });
+    return { kind: "pdf", url: URL.createObjectURL(blob), name: bundleName("pdf"),
+             info: `${boards} page${boards>1?"s":""} · ${BW*exportScale}×${BH*exportScale}px each · ${formatBytes(blob.size)}` };
+  });
+  // one canvas for the whole spread; each board is painted exactly as in the per-board export
+  const exportSpread = runExport("Export spread", async (render) => {
+    const scale = fitCanvasScale(SPREAD_W, SPREAD_H, exportScale);
+    const r = spreadRender(scale);
+    const [blob] = await render([r]);
+    const note = scale < exportScale ? ` · scale reduced to ${+scale.toFixed(3)}× (browser canvas limit)` : "";
+    return { kind: "spread", url: URL.createObjectURL(blob), name: bundleName(exportFormat.ext, "_spread"),
+             info: `${r.width}×${r.height}px · ${formatBytes(blob.size)}${note}` };
+  });
+  /* ---------------- batch variants ---------------- */
+  // Runs one layout (and optionally an overlay) N times from consecutive
+  // seeds, off the spread, and ranks the results with scoreLayout (batch.js).
+  // Pack is deterministic, so it only ever yields one variant.
+  const BATCH_LAYOUTS = {
+    randomise: { label: "Randomise", run: randomised },
+    pack: { label: "Pack", run: (imgs) => packed(imgs), fixed: true },
+    editorial: { label: "Editorial (spaced)", run: (imgs, rng) => editorialed(imgs, false, rng) },
+    seamless: { label: "Editorial (seamless)", run: (imgs, rng) => editorialed(imgs, true, rng) },
+    distribute: { label: "Distribute boards", run: distributed },
+  };
+  const runBatch = () => {
+    if (!images.length) return;
+    const layout = BATCH_LAYOUTS[batch.layout];
+    const base = seedLocked ? seed : randomSeed();
+    const out = [];
+    for (let k = 0; k < (layout.fixed ? 1 : batch.count); k++) {
+      const vSeed = stepSeed(base, k), rng = createRng(vSeed);
+      const imgs = layout.run(images, rng);
+      const shapes = batch.overlay === "keep" ? overlayShapes : keepPinned(overlayFor(batch.overlay, rng, imgs));
+      out.push({ id: k, seed: vSeed, elements: replaceKind(replaceKind(elements, "image", imgs), "shape", shapes),
+                 score: scoreLayout(imgs, geometry) });
+    }
+    setVariants(out.sort((a, b) => b.score.total - a.score.total));
+    // the score rates the images only; say so, and why Pack gives one variant
+    setVariantsNote([
+      layout.fixed && batch.count > 1 && `${layout.label} always gives the same layout, so there is one variant instead of ${batch.count}.`,
+      batch.overlay !== "keep" && "Scores rate the image layout only; the generated overlay isn't scored.",
+    ].filter(Boolean).join(" "));
+    setPickedVariants([]);
+    setShowVariants(true);
+  };
+  const openVariant = (v) => {
+    checkpoint("Open variant");
+    setElements(v.elements);
+    setSeed(v.seed);
+    setSelection([]);
+    setShowVariants(false);
+  };
+  const togglePickedVariant = (id) => setPickedVariants(p => p.includes(id) ? p.filter(x => x !== id) : [...p, id]);
+  // one folder per variant, numbered by its place on the contact sheet
+  const exportVariants = runExport("Export variants", async (render) => {
+    const zip = new JSZip();
+    for (const [rank, v] of variants.entries()) {
+      if (!pickedVariants.includes(v.id)) continue;
+      const blobs = overBudget(await render([...Array(boards)].map((_, i) => boardRender(i, encoding(), exportScale, v.elements))));
+      blobs.forEach((b, i) => zip.file(`variant-${rank + 1}/${slideName(i)}`, b));
+    }
+    downloadBlob(await zip.generateAsync({type:"blob"}), bundleName("zip", "_variants"));
+  });
+
+  const updateExportSettings = (patch) => {
+    checkpoint("Export settings", { coalesce:true });
+    setExportSettings(s => ({ ...s, ...patch }));
   };
 
   /* ---------------- UI computed ---------------- */
   const spreadStyle = {
-    position: "relative",
-    width: SPREAD_W * zoom,
-    height: SPREAD_H * zoom,
-    transform: `scale(${zoom})`,
+    position: "absolute", left: 0, top: 0,
+    width: SPREAD_W,
+    height: SPREAD_H,
+    transform: `translate(${viewport.view.x}px, ${viewport.view.y}px) scale(${zoom})`,
     transformOrigin: "top left",
   };
+  const fitSpread = () => viewport.fitRect({ x: 0, y: 0, w: SPREAD_W, h: SPREAD_H });
+  const fitBoard = (i) => viewport.fitRect({ x: i*BW, y: 0, w: BW, h: BH });
 
   /* ---------------- render ---------------- */
   return (
@@ -517,12 +1794,15 @@ export default function App() {
       className="app"
       style={{ background:"#000", color:"#d6ffe0", minHeight:"100vh", display:"flex", flexDirection:"column" }}
       onDragOver={(e)=>e.preventDefault()}
-      onDrop={(e)=>{e.preventDefault(); addFiles(e.dataTransfer.files);}}
+      onDrop={dropOnSpread}
     >
       {/* SPREAD */}
-      <div style={{ flex:"1 1 auto", overflow:"auto", padding:12, borderBottom:"1px solid #0f3" }}
-           onClick={(e)=>{ if (e.currentTarget===e.target) setSelected(null); }}>
+      <div ref={viewport.ref} onPointerDown={startMarquee}
+           style={{ flex:"1 1 auto", position:"relative", overflow:"hidden", minHeight:320, borderBottom:"1px solid #0f3",
+                    touchAction:"none", cursor: viewport.panning ? "grabbing" : viewport.spaceHeld ? "grab" : "default" }}>
         <div style={spreadStyle}>
+          <BackgroundView bg={background} base={bgColour} boards={boards} BW={BW} W={SPREAD_W} H={SPREAD_H} />
+
           {/* guides */}
           {showGuides && [...Array(boards)].map((_,i)=>(
             <div key={i} style={{
@@ -533,56 +1813,53 @@ export default function App() {
             </div>
           ))}
 
-          {/* overlay (behind) */}
-          {overlayVisible && !overlayOnTop && overlayShapes.map(s=>{
-            const styleBase = { position:"absolute", opacity: overlayOpacity, pointerEvents:"none" };
-            if (s.type==="bar"||s.type==="rect") {
-              return <div key={s.id} style={{...styleBase, left:s.x, top:s.y, width:s.w, height:s.h, background: overlayColourA}} />;
-            }
-            if (s.type==="circle") {
-              const d = (s.r||0)*2;
-              return <div key={s.id} style={{...styleBase, left:s.x - s.r, top:s.y - s.r, width:d, height:d, borderRadius:"50%", background: overlayColourB}} />;
-            }
-            if (s.type==="plus") {
-              const sz = s.s||18;
-              return (
-                <div key={s.id} style={{...styleBase, left:s.x - sz/2, top:s.y - sz/2, width:sz, height:sz}}>
-                  <div style={{position:"absolute", left:"42%", top:0, width:"16%", height:"100%", background: overlayColourA}}/>
-                  <div style={{position:"absolute", top:"42%", left:0, height:"16%", width:"100%", background: overlayColourA}}/>
-                </div>
-              );
-            }
-            return null;
-          })}
-
-          {/* items */}
-          {images.map(n=>(
-            <Item key={n.id} node={n} selected={selected===n.id}
-                  onSelect={(id)=>setSelected(id)}
-                  onChange={(next)=>setImages(prev=>prev.map(x=>x.id===n.id?next:x))}/>
+          {/* stack: images, overlay shapes and text interleaved */}
+          {elements.filter(n=>!n.hidden).map(n=> isImage(n) ? (
+            <Item key={n.id} node={n} selected={selection.includes(n.id)} cropping={cropId===n.id}
+                  onPointerDown={startMove} onDoubleClick={toggleCrop}
+                  onCropZoom={(f)=>cropZoomTo(z=>z*f)}/>
+          ) : overlayVisible && isShape(n) ? (
+            <ShapeView key={n.id} shape={n} opacity={overlayOpacity} selected={selection.includes(n.id)} onPointerDown={startMove} />
+          ) : isText(n) ? (
+            <TextView key={n.id} text={n} selected={selection.includes(n.id)} onPointerDown={startMove} onDoubleClick={editText} />
+          ) : null)}
+
+          {/* seam warnings */}
+          {seamWarnings.map((w,i)=>(
+            <div key={i} className="guide" style={{ left:w.seam*BW, top:w.y, width:0, height:w.h, borderLeft:`${2/zoom}px dashed #ffb84a` }} />
+          ))}
+
+          {/* quality issues */}
+          {issuesOnCanvas && issues.map((i,k)=>(
+            <div key={k} style={{ position:"absolute", left:i.box.x, top:i.box.y, width:i.box.w, height:i.box.h, pointerEvents:"none",
+                                  outline:`${2/zoom}px dashed ${ISSUE_COLOUR[i.level]}`, outlineOffset: i.kind === "empty" ? -8/zoom : 0 }}>
+              <span style={{ position:"absolute", left:0, top:0, transform:`scale(${1/zoom})`, transformOrigin:"0 0", whiteSpace:"nowrap",
+                             fontSize:11, padding:"1px 4px", background:ISSUE_COLOUR[i.level], color:"#000" }}>{CHECKS[i.kind]}</span>
+            </div>
           ))}
 
-          {/* overlay (on top) */}
-          {overlayVisible && overlayOnTop && overlayShapes.map(s=>{
-            const styleBase = { position:"absolute", opacity: overlayOpacity, pointerEvents:"none" };
-            if (s.type==="bar"||s.type==="rect") {
-              return <div key={s.id} style={{...styleBase, left:s.x, top:s.y, width:s.w, height:s.h, background: overlayColourA}} />;
-            }
-            if (s.type==="circle") {
-              const d = (s.r||0)*2;
-              return <div key={s.id} style={{...styleBase, left:s.x - s.r, top:s.y - s.r, width:d, height:d, borderRadius:"50%", background: overlayColourB}} />;
-            }
-            if (s.type==="plus") {
-              const sz = s.s||18;
-              return (
-                <div key={s.id} style={{...styleBase, left:s.x - sz/2, top:s.y - sz/2, width:sz, height:sz}}>
-                  <div style={{position:"absolute", left:"42%", top:0, width:"16%", height:"100%", background: overlayColourA}}/>
-                  <div style={{position:"absolute", top:"42%", left:0, height:"16%", width:"100%", background: overlayColourA}}/>
-                </div>
-              );
-            }
-            return null;
-          })}
+          {/* selection box + marquee */}
+          {selectionBox && !cropId && (
+            <SelectionBox box={selectionBox} outline={selectedNodes.length > 1} locked={selectedNodes.every(n=>n.locked)} onResizeStart={startResize}
+                          rotation={selectedNodes.length === 1 ? selectedNodes[0].rotation || 0 : 0}
+                          onRotateStart={selectedNodes.every(isRotatable) ? startRotate : undefined} />
+          )}
+          {guides.map((g,i)=>(
+            <div key={i} style={g.axis==="x"
+              ? (g.gap ? { left:g.from, top:g.v, width:g.to-g.from, height:0, borderTop:`${1/zoom}px dashed #ff3bd4` }
+                       : { left:g.v, top:g.from, width:0, height:g.to-g.from, borderLeft:`${1/zoom}px solid #ff3bd4` })
+              : (g.gap ? { left:g.v, top:g.from, width:0, height:g.to-g.from, borderLeft:`${1/zoom}px dashed #ff3bd4` }
+                       : { left:g.from, top:g.v, width:g.to-g.from, height:0, borderTop:`${1/zoom}px solid #ff3bd4` })
+            } className="guide" />
+          ))}
+          {marquee && (
+            <div style={{
+              position:"absolute", pointerEvents:"none",
+              left:Math.min(marquee.x0, marquee.x1), top:Math.min(marquee.y0, marquee.y1),
+              width:Math.abs(marquee.x1 - marquee.x0), height:Math.abs(marquee.y1 - marquee.y0),
+              border:"1px dashed #88ff88", background:"rgba(136,255,136,0.08)",
+            }} />
+          )}
         </div>
       </div>
 
@@ -594,37 +1871,170 @@ export default function App() {
           display:"grid", gap:8, gridTemplateColumns:"repeat(12,minmax(0,1fr))", alignItems:"center", fontSize:13
         }}
       >
+        {/* Project */}
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
+          <span className="label">Project</span>
+          <input type="text" value={projectName} onChange={(e)=>setProjectName(e.target.value)} style={{width:180}}/>
+          <button onClick={saveProjectFile}>Save project</button>
+          <label className="file-btn">
+            Open project
+            <input type="file" accept={`${PROJECT_EXT},application/zip`} onChange={(e)=>{ const f=e.target.files?.[0]; if(f) openProjectFile(f); e.target.value=""; }} style={{display:"none"}} />
+          </label>
+          <span className="muted">{projectStatus}</span>
+
+          <span className="label" style={{ marginLeft:"auto" }}>History</span>
+          <button onClick={history.undo} disabled={!history.canUndo} title="Ctrl+Z">Undo</button>
+          <button onClick={history.redo} disabled={!history.canRedo} title="Ctrl+Shift+Z">Redo</button>
+          <select value={history.position} onChange={(e)=>history.jump(parseInt(e.target.value,10))} style={{ minWidth:180 }}>
+            {history.entries.map((h,i)=>(
+              <option key={i} value={i}>{i > history.position ? "↷ " : ""}{i}. {h.label}</option>
+            ))}
+          </select>
+        </div>
+
         {/* Layout */}
         <div style={{ gridColumn:"span 6", display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
           <span className="label">Layouts</span>
-          <button onClick={randomise}>Randomise</button>
-          <button onClick={pack}>Pack</button>
-          <button onClick={()=>editorial(false)}>Editorial (spaced)</button>
-          <button onClick={()=>editorial(true)}>Editorial (seamless)</button>
-          <button onClick={snapBottom}>Snap bottom</button>
-          <button onClick={distributeBoards}>Distribute boards</button>
-          <button onClick={resetLayout}>Reset</button>
-          <button onClick={fixBounds}>Fix bounds</button>
+          <button onClick={()=>generate("Randomise", randomise)}>Randomise</button>
+          <button onClick={act("Pack", pack)}>Pack</button>
+          <button onClick={()=>generate("Editorial (spaced)", rng=>editorial(false, rng))}>Editorial (spaced)</button>
+          <button onClick={()=>generate("Editorial (seamless)", rng=>editorial(true, rng))}>Editorial (seamless)</button>
+          <button onClick={act("Snap bottom", snapBottom)}>Snap bottom</button>
+          <button onClick={()=>generate("Distribute boards", distributeBoards)}>Distribute boards</button>
+          <button onClick={act("Reset layout", resetLayout)}>Reset</button>
+          <button onClick={act("Fix bounds", fixBounds)}>Fix bounds</button>
+
+          <span className="label" style={{ marginLeft:8 }}>Seed</span>
+          <button onClick={()=>goToSeed(stepSeed(seed, -1))} title="Previous seed">◀</button>
+          <input type="text" inputMode="numeric" value={seedDraft ?? String(seed)} style={{ width:96 }}
+                 onChange={(e)=>setSeedDraft(e.target.value.replace(/\D/g, ""))}
+                 onBlur={commitSeedDraft}
+                 onKeyDown={(e)=>{ if (e.key==="Enter") e.currentTarget.blur(); if (e.key==="Escape") { setSeedDraft(null); e.currentTarget.blur(); } }}/>
+          <button onClick={()=>goToSeed(stepSeed(seed, 1))} title="Next seed">▶</button>
+          <label className="check" title="Reuse this seed for every generator run">
+            <input type="checkbox" checked={seedLocked} onChange={(e)=>setSeedLocked(e.target.checked)} /> Lock
+          </label>
+        </div>
+
+        {/* Board strip */}
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+          <span className="label">Slides</span>
+          <button onClick={()=>setShowBoards(v=>!v)}>{showBoards ? "Hide board strip" : `Board strip (${boards})`}</button>
+          {showBoards && <span className="muted">Drag a board onto another to move it there; content goes with the board its centre is on.</span>}
+        </div>
+        {showBoards && (
+          <div style={{ gridColumn:"span 12" }}>
+            <BoardStrip elements={elements} spread={{ boards, BW, BH, background, bgColour, overlayVisible, overlayOpacity }}
+                        maxed={boards >= MAX_BOARDS} onFocus={fitBoard} onInsert={insertBoard} onDuplicate={duplicateBoard}
+                        onDelete={deleteBoard} onMove={moveBoard} />
+          </div>
+        )}
+
+        {/* Batch variants */}
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
+          <span className="label">Batch</span>
+          <select value={batch.layout} onChange={(e)=>setBatch(b=>({ ...b, layout: e.target.value }))}>
+            {Object.entries(BATCH_LAYOUTS).map(([k,{label}])=><option key={k} value={k}>{label}</option>)}
+          </select>
+          <select value={batch.overlay} onChange={(e)=>setBatch(b=>({ ...b, overlay: e.target.value }))}>
+            <option value="keep">Keep overlay</option>
+            {[...Object.keys(MODE_TYPE), "mixed"].map(m=><option key={m} value={m}>{m[0].toUpperCase() + m.slice(1)} overlay</option>)}
+          </select>
+          <span className="label">×</span>
+          <input type="number" min={1} max={BATCH_MAX} value={batch.count} style={{ width:64 }} disabled={BATCH_LAYOUTS[batch.layout].fixed}
+                 onChange={(e)=>setBatch(b=>({ ...b, count: clamp(parseInt(e.target.value||"1",10), 1, BATCH_MAX) }))}/>
+          <button onClick={runBatch} disabled={!images.length}>Generate variants</button>
+          {BATCH_LAYOUTS[batch.layout].fixed && <span className="muted">{BATCH_LAYOUTS[batch.layout].label} is deterministic: one variant</span>}
+          {variants.length > 0 && <button onClick={()=>setShowVariants(true)}>Variants ({variants.length})</button>}
+        </div>
+
+        {/* Grid layouts */}
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
+          <span className="label">Grids</span>
+          <button onClick={()=>generate("Justified rows", runLayout(justifiedRows, { rowHeight, fill: rowFill }))}>Justified rows</button>
+          <span className="label">Row height</span>
+          <input type="number" min={40} max={BH} step={10} value={rowHeight} disabled={rowFill} style={{ width:70 }}
+                 onChange={(e)=>setRowHeight(clamp(parseInt(e.target.value||"40",10), 40, BH))}/>
+          <label className="check"><input type="checkbox" checked={rowFill} onChange={(e)=>setRowFill(e.target.checked)}/> Fill board</label>
+
+          <button style={{ marginLeft:8 }} onClick={()=>generate("Grid template", runLayout(gridTemplate, { templates: parseGridTemplates(gridTemplates) }))}>Grid</button>
+          <input type="text" value={gridTemplates} style={{ width:140 }} title="columns×rows per board, e.g. 3x2, 2x2, 1x1 (the last repeats)"
+                 onChange={(e)=>setGridTemplates(e.target.value)}/>
+
+          <button style={{ marginLeft:8 }} onClick={()=>generate("Golden split", runLayout(recursiveSplit, { mode:"golden" }))}>Golden split</button>
+          <button onClick={()=>generate("Binary split", runLayout(recursiveSplit, { mode:"binary" }))}>Binary split</button>
+
+          <button style={{ marginLeft:8 }} disabled={boards < 2}
+                  onClick={()=>generate("Continuity", runLayout(seamContinuity, { perSeam, minVisible }))}>Continuity</button>
+          <span className="label">Per seam</span>
+          <input type="number" min={1} max={4} value={perSeam} style={{ width:54 }}
+                 onChange={(e)=>setPerSeam(clamp(parseInt(e.target.value||"1",10), 1, 4))}/>
+          <span className="label">Min visible</span>
+          <input type="number" min={20} max={Math.floor(BW/2)} step={10} value={minVisible} style={{ width:70 }}
+                 onChange={(e)=>setMinVisible(clamp(parseInt(e.target.value||"20",10), 20, Math.floor(BW/2)))}/>
+          {seamWarnings.length > 0 && (
+            <span style={{ color:"#ffb84a" }}>
+              ⚠ {seamWarnings.map((w,i)=>(
+                <a key={i} href="#" style={{ color:"inherit", marginRight:8 }} onClick={(e)=>{ e.preventDefault(); setSelection([w.id]); }}>
+                  {w.what} on seam {w.seam}|{w.seam+1}
+                </a>
+              ))}
+            </span>
+          )}
         </div>
 
         {/* Geometry */}
         <div style={{ gridColumn:"span 6", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
           <span className="label">Boards</span>
           <input type="number" min={1} max={MAX_BOARDS} value={boards}
-                 onChange={(e)=>setBoards(clamp(parseInt(e.target.value||"1",10),1,MAX_BOARDS))}
+                 onChange={(e)=>resizeBoards(clamp(parseInt(e.target.value||"1",10),1,MAX_BOARDS))}
                  style={{ width:64 }} />
-          <select value={`${BW}x${BH}`} onChange={(e)=>{ const [w,h]=e.target.value.split("x").map(n=>parseInt(n,10)); setBW(w); setBH(h); fixBounds(); }}>
+          <select value={`${BW}x${BH}`} onChange={(e)=>{ checkpoint("Board size"); const [w,h]=e.target.value.split("x").map(n=>parseInt(n,10)); setBW(w); setBH(h); fixBounds(); }}>
             {PRESETS.map(p=><option key={p.name} value={`${p.w}x${p.h}`}>{p.name}</option>)}
           </select>
-          <span className="label">W</span><input type="number" value={BW} onChange={(e)=>setBW(clamp(parseInt(e.target.value||"1",10),200,4000))} style={{width:84}}/>
-          <span className="label">H</span><input type="number" value={BH} onChange={(e)=>setBH(clamp(parseInt(e.target.value||"1",10),200,4000))} style={{width:84}}/>
-          <span className="label">Spacing</span><input type="number" value={spacing} onChange={(e)=>setSpacing(clamp(parseInt(e.target.value||"0",10),0,400))} style={{width:64}}/>
+          <span className="label">W</span><input type="number" value={BW} onChange={(e)=>{ checkpoint("Board width", {coalesce:true}); setBW(clamp(parseInt(e.target.value||"1",10),200,4000)); }} style={{width:84}}/>
+          <span className="label">H</span><input type="number" value={BH} onChange={(e)=>{ checkpoint("Board height", {coalesce:true}); setBH(clamp(parseInt(e.target.value||"1",10),200,4000)); }} style={{width:84}}/>
+          <span className="label">Spacing</span><input type="number" value={spacing} onChange={(e)=>{ checkpoint("Spacing", {coalesce:true}); setSpacing(clamp(parseInt(e.target.value||"0",10),0,400)); }} style={{width:64}}/>
+        </div>
+
+        {/* Arrange */}
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+          <span className="label">Align</span>
+          <select value={alignTo} onChange={(e)=>setAlignTo(e.target.value)}>
+            <option value="board">to board margin</option>
+            <option value="selection">to selection</option>
+          </select>
+          {[["left","Left"],["centre","Centre"],["right","Right"],["top","Top"],["middle","Middle"],["bottom","Bottom"]].map(([how,lab])=>(
+            <button key={how} disabled={!selection.length} onClick={act(`Align ${how}`, ()=>alignSelection(how))}>{lab}</button>
+          ))}
+          <span className="label" style={{ marginLeft:8 }}>Distribute</span>
+          <button disabled={selection.length < 3} onClick={act("Distribute horizontally", ()=>distributeSelection("x"))}>Horizontal</button>
+          <button disabled={selection.length < 3} onClick={act("Distribute vertically", ()=>distributeSelection("y"))}>Vertical</button>
+          {cropNode && (
+            <>
+              <span className="label" style={{ marginLeft:8 }}>Crop</span>
+              <input type="range" min={1} max={CROP_MAX_ZOOM} step={0.01} value={cropNode.crop?.zoom ?? 1}
+                     onChange={(e)=>{ const z=parseFloat(e.target.value); cropZoomTo(()=>z); }}/>
+              <button onClick={resetCrop}>Reset crop</button>
+              <button onClick={()=>setCropId(null)}>Done</button>
+            </>
+          )}
+          <label className="check" style={{ marginLeft:8 }} title="Hold Alt while dragging to bypass">
+            <input type="checkbox" checked={snapOn} onChange={(e)=>setSnapOn(e.target.checked)} /> Snap (Alt to bypass)
+          </label>
         </div>
 
         {/* Export / BG */}
         <div style={{ gridColumn:"span 12", display:"flex", gap:10, alignItems:"center", flexWrap:"wrap" }}>
           <span className="label">Preview zoom</span>
-          <input type="range" min={0.2} max={2} step={0.05} value={zoom} onChange={(e)=>setZoom(parseFloat(e.target.value))}/>
+          <input type="range" min={0.05} max={4} step={0.01} value={zoom} onChange={(e)=>viewport.setZoom(parseFloat(e.target.value))}/>
+          <span style={{ minWidth:44 }}>{Math.round(zoom*100)}%</span>
+          <button onClick={fitSpread} title="Ctrl+0">Fit spread</button>
+          <select value="" onChange={(e)=>{ if (e.target.value!=="") fitBoard(parseInt(e.target.value,10)); }}>
+            <option value="">Fit board…</option>
+            {[...Array(boards)].map((_,i)=><option key={i} value={i}>Board {i+1}</option>)}
+          </select>
+          <button onClick={viewport.actualSize} title="Ctrl+1">100%</button>
           <span className="label">Guides colour</span>
           <input type="color" value={guideColour} onChange={(e)=>setGuideColour(e.target.value)} />
           <span className="label">Guides opacity</span>
@@ -635,57 +2045,419 @@ export default function App() {
 
           <span className="label" style={{ marginLeft:"auto" }}>Count</span>
           <strong>{images.length}</strong>
+          {selection.length > 0 && <span className="muted">{selection.length} selected</span>}
 
-          <button onClick={sendToBack}>Send to Back</button>
-          <button onClick={sendBackward}>Send Backward</button>
-          <button onClick={bringForward}>Bring Forward</button>
-          <button onClick={bringToFront}>Bring to Front</button>
+          <button onClick={act("Send to back", sendToBack)}>Send to Back</button>
+          <button onClick={act("Send backward", sendBackward)}>Send Backward</button>
+          <button onClick={act("Bring forward", bringForward)}>Bring Forward</button>
+          <button onClick={act("Bring to front", bringToFront)}>Bring to Front</button>
+          <button onClick={groupSelection} disabled={selection.length < 2} title="Ctrl+G">Group</button>
+          <button onClick={ungroupSelection} disabled={!selectedNodes.some(n=>n.groupId)} title="Ctrl+Shift+G">Ungroup</button>
 
           <label className="file-btn" style={{ marginLeft:12 }}>
             Add images
             <input type="file" multiple accept="image/*" onChange={(e)=>e.target.files && addFiles(e.target.files)} style={{display:"none"}} />
           </label>
+          <button onClick={()=>setShowAssets(v=>!v)}>{showAssets ? "Hide assets" : `Assets (${assets.length})`}</button>
+          <button onClick={()=>setShowLayers(v=>!v)}>{showLayers ? "Hide layers" : `Layers (${elements.length})`}</button>
         </div>
 
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+          <span className="label">Template</span>
+          <input type="text" placeholder="name" value={templateName} onChange={(e)=>setTemplateName(e.target.value)} style={{ width:140 }}/>
+          <button onClick={saveAsTemplate}>Save as template</button>
+          <button onClick={()=>setShowTemplates(v=>!v)}>{showTemplates ? "Hide templates" : `Templates (${templates.length})`}</button>
+          <label className="file-btn">
+            Import…
+            <input type="file" multiple accept=".json,application/json" onChange={(e)=>{ importTemplates(e.target.files); e.target.value=""; }} style={{display:"none"}} />
+          </label>
+          {images.some(isSlot) && <span className="muted">{images.filter(isSlot).length} empty slot(s) — drop photos or asset cards on them</span>}
+        </div>
+        {showTemplates && (
+          <div style={{ gridColumn:"span 12", display:"flex", gap:8, flexWrap:"wrap", maxHeight:300, overflow:"auto" }}>
+            {!templates.length && <span className="muted">No templates yet — arrange a spread and save it.</span>}
+            {templates.map((t,i) => (
+              <TemplateCard key={`${t.created}-${i}`} template={t} onApply={()=>applyTemplate(t)} onExport={()=>exportTemplate(t)}
+                            onDelete={()=>storeTemplates(templates.filter((_,j)=>j!==i))} />
+            ))}
+          </div>
+        )}
+
+        {showAssets && (
+          <div style={{ gridColumn:"span 12", display:"flex", gap:8, flexWrap:"wrap", maxHeight:260, overflow:"auto" }}>
+            {!assets.length && <span className="muted">No images stored yet — add or drop some.</span>}
+            {assets.map(a => (
+              <AssetCard key={a.hash} asset={a} uses={assetUse.get(a.hash) || 0}
+                         onPlace={()=>placeAssets([a])} onDelete={()=>removeAsset(a)} />
+            ))}
+          </div>
+        )}
+
+        {showLayers && (
+          <div onDragLeave={(e)=>{ if (!e.currentTarget.contains(e.relatedTarget)) setLayerOver(null); }}
+               style={{ gridColumn:"span 12", display:"flex", flexDirection:"column", gap:2, maxHeight:300, overflow:"auto" }}>
+            {!elements.length && <span className="muted">Nothing on the spread yet.</span>}
+            {[...elements].reverse().map(n => (
+              <LayerRow key={n.id} node={n} name={layerName(n)} board={layerBoards(n)} selected={selection.includes(n.id)}
+                        dropTarget={layerOver?.id === n.id ? (layerOver.below ? "below" : "above") : null} onSelect={(e)=>selectLayer(e, n)} onRename={(v)=>renameLayer(n, v)}
+                        onToggleHidden={()=>toggleHidden(n)} onToggleLocked={()=>toggleLocked(n)}
+                        onDragOver={(below)=>setLayerOver(o => o?.id === n.id && o.below === below ? o : { id: n.id, below })} onDrop={(id, below)=>dropLayer(id, n.id, below)} />
+            ))}
+          </div>
+        )}
+
         {/* Background + favourites + Export */}
         <div style={{ gridColumn:"span 8", display:"flex", gap:10, alignItems:"center", flexWrap:"wrap" }}>
           <span className="label">Background</span>
-          <input type="color" value={bgColour} onChange={(e)=>setBgColour(e.target.value)}/>
+          <input type="color" value={bgColour} onChange={(e)=>{ checkpoint("Background", {coalesce:true}); setBgColour(e.target.value); }}/>
           <div style={{ display:"flex", gap:6, alignItems:"center" }}>
             {fav.map((c,i)=>(
               <button key={i} title="Click apply • Alt+click remove"
-                onClick={(e)=>{ if(e.altKey){ const a=[...fav]; a.splice(i,1); setFav(a);} else { setBgColour(c);} }}
+                onClick={(e)=>{ if(e.altKey){ const a=[...fav]; a.splice(i,1); setFav(a);} else { checkpoint("Background"); setBgColour(c);} }}
                 style={{ width:18, height:18, borderRadius:4, border:"1px solid #1aff7a", background:c }} />
             ))}
-            <button onClick={()=>setFav(p=>Array.from(new Set([...p,bgColour])).slice(0,12))}>★ Save</button>
+            <button onClick={()=>setFav(p=>Array.from(new Set([...p,bgColour])).slice(0,24))}>★ Save</button>
           </div>
         </div>
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+          <span className="label">Palette</span>
+          <select value={paletteIndex} onChange={(e)=>setPaletteIndex(parseInt(e.target.value,10))}>
+            {palettes.map((p,i)=><option key={i} value={i}>{p.name}</option>)}
+          </select>
+          <input type="text" value={palettes[paletteIndex]?.name || ""} onChange={(e)=>renamePalette(e.target.value)} style={{ width:120 }}/>
+          <button onClick={()=>applyPalette(fav)} title="Background, overlay A and overlay B from the first three colours">Apply</button>
+          <button onClick={()=>addPalette(`Palette ${palettes.length+1}`, [bgColour, overlayColourA, overlayColourB])} title="From the current background and overlay colours">+ New</button>
+          <button onClick={deletePalette} disabled={palettes.length < 2}>Delete</button>
+          <label className="file-btn">
+            Import…
+            <input type="file" accept=".json,.ase,application/json" onChange={(e)=>{ const f=e.target.files?.[0]; if(f) importPalettes(f); e.target.value=""; }} style={{display:"none"}} />
+          </label>
+          <button onClick={()=>downloadBlob(new Blob([palettesToJSON(palettes)], { type:"application/json" }), "palettes.json")}>Export JSON</button>
+          <button onClick={()=>downloadBlob(palettesToASE(palettes), "palettes.ase")}>Export ASE</button>
+          <button onClick={extractPalette} disabled={!images.length} style={{ marginLeft:8 }}>
+            {selectedImages.length ? "Colours from selection" : "Colours from images"}
+          </button>
+          {extracted && (
+            <>
+              {[["Dominant", extracted.dominant], ["Complements", extracted.complementary], ["Suggested", extracted.suggested]].map(([label, colours])=>(
+                <span key={label} style={{ display:"flex", gap:4, alignItems:"center" }}>
+                  <span className="label">{label}</span>
+                  {colours.map((c,i)=>(
+                    <button key={i} title={`${c} • click to add to ${palettes[paletteIndex]?.name}`}
+                            onClick={()=>setFav(p=>Array.from(new Set([...p,c])).slice(0,24))}
+                            style={{ width:18, height:18, borderRadius:4, border:"1px solid #1aff7a", background:c }} />
+                  ))}
+                </span>
+              ))}
+              <button onClick={()=>applyPalette(extracted.suggested)}>Apply suggested</button>
+              <button onClick={()=>addPalette("From photos", [...extracted.suggested, ...extracted.dominant])}>Save as palette</button>
+              <button onClick={()=>setExtracted(null)}>×</button>
+            </>
+          )}
+        </div>
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+          <span className="label">Fill</span>
+          <select value={background.kind} onChange={(e)=>updateBackground("Background fill", { kind: e.target.value })}>
+            {Object.entries(BACKGROUND_KINDS).map(([k,label])=><option key={k} value={k}>{label}</option>)}
+          </select>
+          {background.kind === "boards" && [...Array(boards)].map((_,i)=>(
+            <input key={i} type="color" title={`slide ${i+1}`} value={boardColour(background, bgColour, i)}
+                   onChange={(e)=>setBoardColour(i, e.target.value)}/>
+          ))}
+          {(background.kind === "linear" || background.kind === "radial") && (
+            <>
+              <input type="color" value={background.from} onChange={(e)=>updateBackground("Gradient", { from: e.target.value })}/>
+              <input type="color" value={background.to} onChange={(e)=>updateBackground("Gradient", { to: e.target.value })}/>
+            </>
+          )}
+          {background.kind === "linear" && (
+            <>
+              <span className="label">Angle</span>
+              <input type="number" min={0} max={360} step={5} value={background.angle} style={{ width:64 }}
+                     onChange={(e)=>updateBackground("Gradient angle", { angle: clamp(parseFloat(e.target.value||"0"), 0, 360) })}/>
+            </>
+          )}
+          <span className="label" style={{ marginLeft:8 }}>Image</span>
+          <select value={background.image?.asset || ""} onChange={(e)=>pickBackgroundAsset(assets.find(a=>a.hash===e.target.value) || null)}>
+            <option value="">None</option>
+            {assets.map(a=><option key={a.hash} value={a.hash}>{a.name}</option>)}
+          </select>
+          <label className="file-btn">
+            Upload…
+            <input type="file" accept="image/*" onChange={(e)=>{ const f=e.target.files?.[0]; if(f) uploadBackground(f); e.target.value=""; }} style={{display:"none"}} />
+          </label>
+          {background.image && (
+            <>
+              <select value={background.image.fit} onChange={(e)=>updateBackground("Background fit", { image: { ...background.image, fit: e.target.value } })}>
+                <option value="cover">Cover</option><option value="tile">Tile</option>
+              </select>
+              {background.image.fit === "tile" && (
+                <>
+                  <span className="label">Tile</span>
+                  <input type="number" min={16} max={SPREAD_W} step={10} value={background.image.tile} style={{ width:70 }}
+                         onChange={(e)=>updateBackground("Background tile", { image: { ...background.image, tile: clamp(parseInt(e.target.value||"16",10), 16, SPREAD_W) } })}/>
+                </>
+              )}
+              <span className="label">Opacity</span>
+              <input type="range" min={0} max={1} step={0.05} value={background.image.opacity}
+                     onChange={(e)=>updateBackground("Background opacity", { image: { ...background.image, opacity: parseFloat(e.target.value) } })}/>
+            </>
+          )}
+        </div>
         <div style={{ gridColumn:"span 4", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
           <span className="label">Export scale</span>
           <input type="number" min={1} max={4} value={exportScale} onChange={(e)=>setExportScale(clamp(parseInt(e.target.value||"1",10),1,4))} style={{width:54}}/>
-          <button onClick={exportPNG}>Export PNG</button>
-          <button onClick={exportJPG}>Export JPG</button>
-          <button onClick={exportZIP}>Export ZIP</button>
+          <button onClick={checked(exportSlides)} disabled={!!exportProgress}>Export {exportFormat.label}</button>
+          <button onClick={checked(exportZIP)} disabled={!!exportProgress}>Export ZIP</button>
+          <button onClick={checked(exportPDF)} disabled={!!exportProgress}>Export PDF</button>
+          <button onClick={checked(exportSpread)} disabled={!!exportProgress}>Export spread</button>
+          <button onClick={()=>setShowExportSettings(true)}>Settings…</button>
+          <button onClick={()=>setShowIssues(v=>!v)} style={issues.length ? { borderColor: ISSUE_COLOUR[issueErrors ? "error" : "warn"] } : undefined}>
+            {issues.length ? `Check (${issues.length})` : "Check ✓"}
+          </button>
+          {exportProgress && (
+            <>
+              <span className="muted">{exportProgress.label}…</span>
+              <div style={{ display:"flex", gap:2 }}>
+                {exportProgress.boards.map((v,i)=>(
+                  <div key={i} title={`slide ${i+1}: ${Math.round(v*100)}%`}
+                       style={{ width:14, height:8, background:"#0f2a18", border:"1px solid #1aff7a55", borderRadius:2, overflow:"hidden" }}>
+                    <div style={{ width:`${v*100}%`, height:"100%", background:"#1aff7a" }} />
+                  </div>
+                ))}
+              </div>
+              <button onClick={cancelExport}>Cancel</button>
+            </>
+          )}
         </div>
 
+        {showIssues && (
+          <div style={{ gridColumn:"span 12", display:"flex", flexDirection:"column", gap:2, maxHeight:240, overflow:"auto" }}>
+            <div style={{ display:"flex", gap:8, alignItems:"center" }}>
+              <span className="label">Check</span>
+              <span className="muted">at export scale {exportScale}×</span>
+              <label className="check">
+                <input type="checkbox" checked={issuesOnCanvas} onChange={(e)=>setIssuesOnCanvas(e.target.checked)} /> Show on canvas
+              </label>
+              {issues.some(i=>i.kind==="offboard") && <button onClick={act("Fix bounds", fixBounds)}>Fix bounds</button>}
+            </div>
+            {!issues.length && <span className="muted">No issues found.</span>}
+            {issues.map((i,k)=>(
+              <a key={k} href="#" style={{ color:ISSUE_COLOUR[i.level], fontSize:12 }} onClick={(e)=>{ e.preventDefault(); showIssue(i); }}>
+                {CHECKS[i.kind]}{i.ids.length ? ` — ${i.ids.map(id=>{ const n = elements.find(x=>x.id===id); return n ? layerName(n) : id; }).join(" / ")}` : ""}: {i.message}
+              </a>
+            ))}
+          </div>
+        )}
+
         {/* Overlay controls */}
         <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap", marginTop:2 }}>
-          <button onClick={()=>setOverlayVisible(v=>!v)}>{overlayVisible ? "Hide Overlay" : "Show Overlay"}</button>
-          <button onClick={()=>setOverlayOnTop(false)}>Overlay to Back</button>  {/* NEW */}
-          <button onClick={()=>setOverlayOnTop(true)}>Overlay to Front</button>
-          <button onClick={()=>regenOverlay("bars")}>Bars</button>
-          <button onClick={()=>regenOverlay("rects")}>Rects</button>
-          <button onClick={()=>regenOverlay("circles")}>Circles</button>
-          <button onClick={()=>regenOverlay("plus")}>Plus</button>
-          <button onClick={()=>regenOverlay("mixed")}>Mixed overlay</button>     {/* NEW */}
-          <button onClick={randomiseOverlay}>Mix overlay</button>                 {/* NEW */}
+          <button onClick={act("Toggle overlay", ()=>setOverlayVisible(v=>!v))}>{overlayVisible ? "Hide Overlay" : "Show Overlay"}</button>
+          <button onClick={act("Overlay to back", overlayToBack)}>Overlay to Back</button>  {/* NEW */}
+          <button onClick={act("Overlay to front", overlayToFront)}>Overlay to Front</button>
+          <button onClick={()=>generate("Bars overlay", rng=>regenOverlay("bars", rng))}>Bars</button>
+          <button onClick={()=>generate("Rects overlay", rng=>regenOverlay("rects", rng))}>Rects</button>
+          <button onClick={()=>generate("Circles overlay", rng=>regenOverlay("circles", rng))}>Circles</button>
+          <button onClick={()=>generate("Plus overlay", rng=>regenOverlay("plus", rng))}>Plus</button>
+          <button onClick={()=>generate("Lines overlay", rng=>regenOverlay("lines", rng))}>Lines</button>
+          <button onClick={()=>generate("Arcs overlay", rng=>regenOverlay("arcs", rng))}>Arcs</button>
+          <button onClick={()=>generate("Triangles overlay", rng=>regenOverlay("triangles", rng))}>Triangles</button>
+          <button onClick={()=>generate("Dots overlay", rng=>regenOverlay("dots", rng))}>Dots</button>
+          <button onClick={()=>generate("Mixed overlay", rng=>regenOverlay("mixed", rng))}>Mixed overlay</button>     {/* NEW */}
+          <button onClick={()=>generate("Mix overlay", randomiseOverlay)}>Mix overlay</button>                 {/* NEW */}
           <span className="label">Opacity</span>
-          <input type="range" min={0} max={1} step={0.05} value={overlayOpacity} onChange={(e)=>setOverlayOpacity(parseFloat(e.target.value))}/>
-          <span className="label">Colour A</span><input type="color" value={overlayColourA} onChange={(e)=>setOverlayColourA(e.target.value)}/>
-          <span className="label">Colour B</span><input type="color" value={overlayColourB} onChange={(e)=>setOverlayColourB(e.target.value)}/>
+          <input type="range" min={0} max={1} step={0.05} value={overlayOpacity} onChange={(e)=>{ checkpoint("Overlay opacity", {coalesce:true}); setOverlayOpacity(parseFloat(e.target.value)); }}/>
+          <span className="label">Colour A</span><input type="color" value={overlayColourA} onChange={(e)=>{ checkpoint("Overlay colour A", {coalesce:true}); recolourOverlay(overlayColourA, e.target.value); setOverlayColourA(e.target.value); }}/>
+          <span className="label">Colour B</span><input type="color" value={overlayColourB} onChange={(e)=>{ checkpoint("Overlay colour B", {coalesce:true}); recolourOverlay(overlayColourB, e.target.value); setOverlayColourB(e.target.value); }}/>
+        </div>
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+          <span className="label">Pattern</span>
+          <select value={overlayDistribution} onChange={(e)=>setOverlayDistribution(e.target.value)}>
+            {Object.entries(DISTRIBUTIONS).map(([k,label])=><option key={k} value={k}>{label}</option>)}
+          </select>
+          <select value={overlayConstraint} disabled={overlayDistribution==="edges"} onChange={(e)=>setOverlayConstraint(e.target.value)}>
+            {Object.entries(CONSTRAINTS).map(([k,label])=><option key={k} value={k}>{label}</option>)}
+          </select>
+          <span className="label">Per board</span>
+          <input type="number" min={0} max={400} value={overlayCount} style={{ width:64 }}
+                 onChange={(e)=>setOverlayCount(clamp(parseInt(e.target.value||"0",10), 0, 400))}/>
+          <span className="label">Size %</span>
+          <input type="number" min={10} max={400} step={10} value={Math.round(overlaySize.min*100)} style={{ width:64 }}
+                 onChange={(e)=>{ const v = clamp(parseInt(e.target.value||"10",10), 10, 400)/100; setOverlaySize(s=>({ min: v, max: Math.max(v, s.max) })); }}/>
+          <span>–</span>
+          <input type="number" min={10} max={400} step={10} value={Math.round(overlaySize.max*100)} style={{ width:64 }}
+                 onChange={(e)=>{ const v = clamp(parseInt(e.target.value||"10",10), 10, 400)/100; setOverlaySize(s=>({ min: Math.min(v, s.min), max: v })); }}/>
+        </div>
+
+        {/* Image adjustments */}
+        {selectedImages.length > 0 && (() => {
+          const a = withAdjustDefaults(selectedImages[0].adjust);
+          const slider = (label, key, max) => (
+            <>
+              <span className="label">{label}</span>
+              <input type="range" min={0} max={max} step={0.01} value={a[key]}
+                     onChange={(e)=>adjustImages(`Image ${label.toLowerCase()}`, { [key]: parseFloat(e.target.value) })}
+                     onDoubleClick={()=>adjustImages(`Image ${label.toLowerCase()}`, { [key]: ADJUST_DEFAULTS[key] })}/>
+            </>
+          );
+          const duo = a.duotone || { dark: bgColour, light: overlayColourA };
+          const n0 = selectedImages[0];
+          const stroke = n0.stroke || STROKE_DEFAULTS, shadow = n0.shadow || SHADOW_DEFAULTS;
+          const num = (label, value, min, max, onValue, width = 56) => (
+            <>
+              <span className="label">{label}</span>
+              <input type="number" min={min} max={max} value={Math.round(value)} style={{ width }}
+                     onChange={(e)=>{ const v = parseFloat(e.target.value); if (!isNaN(v)) onValue(clamp(v, min, max)); }}/>
+            </>
+          );
+          return (
+            <>
+            <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+              <span className="label">Frame</span>
+              {num("Rotation", n0.rotation || 0, -180, 180, v=>styleImages("Image rotation", { rotation: v }), 64)}
+              <select value={n0.mask || "rect"} onChange={(e)=>styleImages("Image mask", { mask: e.target.value })}>
+                {Object.entries(MASKS).map(([k,label])=><option key={k} value={k}>{label}</option>)}
+              </select>
+              {(n0.mask || "rect") === "rect" && num("Radius", n0.radius || 0, 0, 2000, v=>styleImages("Corner radius", { radius: v }))}
+              <label className="check" style={{ marginLeft:8 }}>
+                <input type="checkbox" checked={!!n0.stroke} onChange={(e)=>styleImages("Image stroke", { stroke: e.target.checked ? stroke : null })}/> Stroke
+              </label>
+              {n0.stroke && (
+                <>
+                  {num("Width", stroke.width, 0, 400, v=>styleImages("Stroke width", { stroke: { ...stroke, width: v } }))}
+                  <input type="color" value={stroke.colour} onChange={(e)=>styleImages("Stroke colour", { stroke: { ...stroke, colour: e.target.value } })}/>
+                </>
+              )}
+              <label className="check" style={{ marginLeft:8 }}>
+                <input type="checkbox" checked={!!n0.shadow} onChange={(e)=>styleImages("Image shadow", { shadow: e.target.checked ? shadow : null })}/> Shadow
+              </label>
+              {n0.shadow && (
+                <>
+                  {num("X", shadow.x, -500, 500, v=>styleImages("Shadow offset", { shadow: { ...shadow, x: v } }))}
+                  {num("Y", shadow.y, -500, 500, v=>styleImages("Shadow offset", { shadow: { ...shadow, y: v } }))}
+                  {num("Blur", shadow.blur, 0, 500, v=>styleImages("Shadow blur", { shadow: { ...shadow, blur: v } }))}
+                  <input type="color" value={shadow.colour} onChange={(e)=>styleImages("Shadow colour", { shadow: { ...shadow, colour: e.target.value } })}/>
+                  <input type="range" min={0} max={1} step={0.05} value={shadow.opacity}
+                         onChange={(e)=>styleImages("Shadow opacity", { shadow: { ...shadow, opacity: parseFloat(e.target.value) } })}/>
+                </>
+              )}
+            </div>
+            <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+              <span className="label">Image</span>
+              {slider("Brightness", "brightness", 2)}
+              {slider("Contrast", "contrast", 2)}
+              {slider("Saturation", "saturation", 2)}
+              {slider("Grayscale", "grayscale", 1)}
+              <label className="check" style={{ marginLeft:8 }}>
+                <input type="checkbox" checked={!!a.duotone} onChange={(e)=>adjustImages("Duotone", { duotone: e.target.checked ? duo : null })}/> Duotone
+              </label>
+              {a.duotone && (
+                <>
+                  <input type="color" title="shadows" value={duo.dark} onChange={(e)=>adjustImages("Duotone", { duotone: { ...duo, dark: e.target.value } })}/>
+                  <input type="color" title="highlights" value={duo.light} onChange={(e)=>adjustImages("Duotone", { duotone: { ...duo, light: e.target.value } })}/>
+                  <button title="Background colour to overlay colour A"
+                          onClick={()=>adjustImages("Duotone", { duotone: { dark: bgColour, light: overlayColourA } })}>BG → A</button>
+                </>
+              )}
+              <span className="label" style={{ marginLeft:8 }}>Blend</span>
+              <select value={a.blend} onChange={(e)=>adjustImages("Blend mode", { blend: e.target.value })}>
+                {Object.entries(BLEND_MODES).map(([k,label])=><option key={k} value={k}>{label}</option>)}
+              </select>
+              <button onClick={()=>adjustImages("Reset adjustments", null)}>Reset</button>
+              <span className="muted">{selectedImages.length} image{selectedImages.length>1?"s":""}</span>
+            </div>
+            </>
+          );
+        })()}
+
+        {/* Individual shapes */}
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+          <span className="label">Shapes</span>
+          {SHAPE_TYPES.map(t=><button key={t} onClick={()=>addShape(t)}>+ {t[0].toUpperCase()+t.slice(1)}</button>)}
+          <button onClick={deleteSelection} disabled={!selection.length} title="Delete / Backspace">Delete</button>
+          {selectedShapes.length > 0 && (
+            <>
+              <span className="label" style={{ marginLeft:8 }}>Colour</span>
+              <input type="color" value={selectedShapes[0].colour} onChange={(e)=>styleShapes("Shape colour", { colour: e.target.value })}/>
+              <span className="label">Opacity</span>
+              <input type="range" min={0} max={1} step={0.05} value={selectedShapes[0].opacity ?? 1}
+                     onChange={(e)=>styleShapes("Shape opacity", { opacity: parseFloat(e.target.value) })}/>
+              <span className="label">Rotation</span>
+              <input type="number" min={-180} max={180} value={Math.round(selectedShapes[0].rotation || 0)} style={{ width:64 }}
+                     onChange={(e)=>styleShapes("Shape rotation", { rotation: clamp(parseFloat(e.target.value||"0"), -180, 180) })}/>
+              {hasWeight(selectedShapes[0]) && (
+                <>
+                  <span className="label">{selectedShapes[0].type === "dots" ? "Dot" : "Weight"}</span>
+                  <input type="number" min={1} max={200} value={shapeWeight(selectedShapes[0])} style={{ width:56 }}
+                         onChange={(e)=>styleShapes("Shape weight", { weight: clamp(parseFloat(e.target.value||"1"), 1, 200) })}/>
+                </>
+              )}
+              <span className="muted">{selectedShapes.length} shape{selectedShapes.length>1?"s":""}</span>
+            </>
+          )}
+        </div>
+
+        {/* Text */}
+        <div style={{ gridColumn:"span 12", display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+          <span className="label">Text</span>
+          <button onClick={addText}>+ Text</button>
+          <label className="file-btn">
+            Upload font
+            <input type="file" multiple accept=".ttf,.otf,.woff,.woff2" onChange={(e)=>{ uploadFonts(e.target.files); e.target.value=""; }} style={{display:"none"}} />
+          </label>
+          {selectedTexts.length > 0 && (() => {
+            const t = selectedTexts[0];
+            const num = (label, key, min, max, step=1) => (
+              <>
+                <span className="label">{label}</span>
+                <input type="number" min={min} max={max} step={step} value={t[key]} style={{ width:64 }}
+                       onChange={(e)=>{ const v = parseFloat(e.target.value); if (!isNaN(v)) styleTexts(`Text ${label.toLowerCase()}`, { [key]: clamp(v, min, max) }); }}/>
+              </>
+            );
+            return (
+              <>
+                <textarea ref={textInput} rows={2} value={t.text} style={{ minWidth:220 }}
+                          onChange={(e)=>styleTexts("Edit text", { text: e.target.value })}/>
+                <select value={t.fontFamily} onChange={(e)=>styleTexts("Text font", { fontFamily: e.target.value })}>
+                  {fontFamilies.map(f=><option key={f} value={f}>{f}</option>)}
+                </select>
+                {num("Size", "fontSize", 4, 2000)}
+                <span className="label">Weight</span>
+                <select value={t.fontWeight} onChange={(e)=>styleTexts("Text weight", { fontWeight: parseInt(e.target.value,10) })}>
+                  {[100,200,300,400,500,600,700,800,900].map(w=><option key={w} value={w}>{w}</option>)}
+                </select>
+                {num("Tracking", "tracking", -200, 1000, 5)}
+                {num("Leading", "lineHeight", 0.5, 4, 0.05)}
+                <select value={t.align} onChange={(e)=>styleTexts("Text align", { align: e.target.value })}>
+                  <option value="left">Left</option><option value="center">Centre</option><option value="right">Right</option>
+                </select>
+                <input type="color" value={t.colour} onChange={(e)=>styleTexts("Text colour", { colour: e.target.value })}/>
+                <span className="muted">{selectedTexts.length} text{selectedTexts.length>1?"s":""}</span>
+              </>
+            );
+          })()}
         </div>
       </div>
 
+      {showExportSettings && (
+        <ExportSettings settings={exportSettings} onChange={updateExportSettings} onClose={()=>setShowExportSettings(false)}
+                        example={`${slideName(0)} · ${bundleName("zip")}`} />
+      )}
+      {pendingExport && (
+        <ExportCheck issues={issues} onClose={()=>setPendingExport(null)}
+                     onReview={()=>{ setPendingExport(null); setShowIssues(true); }}
+                     onExport={()=>{ const run = pendingExport; setPendingExport(null); run(); }} />
+      )}
+      {showVariants && (
+        <ContactSheet variants={variants} note={variantsNote} picked={pickedVariants} onToggle={togglePickedVariant} onOpen={openVariant}
+                      onExport={exportVariants} busy={!!exportProgress} onClose={()=>setShowVariants(false)}
+                      spread={{ boards, BW, BH, background, bgColour, overlayVisible, overlayOpacity }} />
+      )}
+      {exportPreview && (
+        <ExportPreview preview={exportPreview} onClose={closePreview}
+                       onDownload={()=>downloadURL(exportPreview.url, exportPreview.name)} />
+      )}
+
       {/* Dark UI styling with readable inputs & labels */}
       <style>{`
         .app button {
@@ -693,15 +2465,18 @@ export default function App() {
           padding:6px 10px;border-radius:8px;cursor:pointer; line-height:1
         }
         .app button:hover{background:#122;box-shadow:0 0 0 1px #1aff7a inset}
-        .app input, .app select {
+        .app button:disabled{opacity:0.4;cursor:default;box-shadow:none;background:#0e0e0e}
+        .app input, .app select, .app textarea {
           background:#060606;border:1px solid #1aff7a;color:#d6ffe0;border-radius:6px;
           padding:6px 8px; outline:none
         }
         .app input::placeholder{ color:#9fffbf; opacity:0.7 }
         .app option { color:#0b0b0b; }
         .label{ color:#c8ffd9; font-weight:700; margin-right:4px }
+        .app .muted{ color:#9fffbf }
         .check{ display:flex; align-items:center; gap:6px; color:#d6ffe0 }
         .file-btn{position:relative; overflow:hidden}
+        .guide{position:absolute; pointer-events:none; z-index:5}
         .file-btn input{position:absolute; inset:0; opacity:0; cursor:pointer}
       `}</style>
     </div>
@@ -0,0 +1,106 @@
+/* --------------------------- image adjustments --------------------------- */
+// Per-image grading lives on the element (`n.adjust`), never in the asset:
+//   { brightness, contrast, saturation, grayscale, duotone: { dark, light } | null, blend }
+// The preview uses CSS filter functions, an SVG filter for the duotone and
+// mix-blend-mode. ctx.filter isn't available everywhere (Safari), so the
+// export runs the same Filter Effects maths per pixel, in the same order, and
+// draws with the matching globalCompositeOperation (the names are shared).
+export const ADJUST_DEFAULTS = {
+  brightness: 1, contrast: 1, saturation: 1, grayscale: 0, duotone: null, blend: "normal",
+};
+export const BLEND_MODES = {
+  normal: "Normal", multiply: "Multiply", screen: "Screen", overlay: "Overlay", darken: "Darken", lighten: "Lighten",
+  "soft-light": "Soft light", "hard-light": "Hard light", difference: "Difference", color: "Colour", luminosity: "Luminosity",
+};
+export const withAdjustDefaults = (a) => ({ ...ADJUST_DEFAULTS, ...a });
+
+export const isAdjusted = (a) => !!a &&
+  ((a.brightness ?? 1) !== 1 || (a.contrast ?? 1) !== 1 || (a.saturation ?? 1) !== 1 || (a.grayscale ?? 0) > 0 || !!a.duotone);
+export const compositeOp = (a) => (a?.blend && a.blend !== "normal" ? a.blend : "source-over");
+
+const hexRgb = (hex) => {
+  const h = hex.replace("#", "");
+  const v = parseInt(h.length === 3 ? h.replace(/./g, "$&$&") : h, 16);
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255].map(c => c / 255);
+};
+// per-channel [dark, light] for feFuncR/G/B tables
+export const duotoneTables = ({ dark, light }) => {
+  const d = hexRgb(dark), l = hexRgb(light);
+  return [0, 1, 2].map(c => `${d[c].toFixed(4)} ${l[c].toFixed(4)}`);
+};
+// Rec. 709 luma, the weights feColorMatrix luminanceToAlpha uses
+export const LUMA = [0.2126, 0.7152, 0.0722];
+
+// CSS `filter` value for the preview; the duotone is an SVG filter #duotoneId
+export function cssFilter(a, duotoneId) {
+  if (!isAdjusted(a)) return undefined;
+  const f = withAdjustDefaults(a);
+  const parts = [];
+  if (f.brightness !== 1) parts.push(`brightness(${f.brightness})`);
+  if (f.contrast !== 1) parts.push(`contrast(${f.contrast})`);
+  if (f.saturation !== 1) parts.push(`saturate(${f.saturation})`);
+  if (f.grayscale > 0) parts.push(`grayscale(${f.grayscale})`);
+  if (f.duotone) parts.push(`url(#${duotoneId})`);
+  return parts.join(" ");
+}
+
+// Filter Effects colour matrices (RGB rows) for saturate() and grayscale()
+const saturateMatrix = (s) => [
+  0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+  0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+  0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s,
+];
+const grayscaleMatrix = (g) => {
+  const a = 1 - Math.min(1, g);
+  return [
+    0.2126 + 0.7874 * a, 0.7152 - 0.7152 * a, 0.0722 - 0.0722 * a,
+    0.2126 - 0.2126 * a, 0.7152 + 0.2848 * a, 0.0722 - 0.0722 * a,
+    0.2126 - 0.2126 * a, 0.7152 - 0.7152 * a, 0.0722 + 0.9278 * a,
+  ];
+};
+const clamp01 = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+// grade unpremultiplied RGBA bytes in place, as the CSS filter chain would
+export function adjustPixels(data, a) {
+  const f = withAdjustDefaults(a);
+  // brightness then contrast act per channel: one lookup table
+  const lut = new Float32Array(256);
+  for (let i = 0; i < 256; i++) lut[i] = clamp01((clamp01((i / 255) * f.brightness) - 0.5) * f.contrast + 0.5);
+  const mats = [];
+  if (f.saturation !== 1) mats.push(saturateMatrix(f.saturation));
+  if (f.grayscale > 0) mats.push(grayscaleMatrix(f.grayscale));
+  const duo = f.duotone && [hexRgb(f.duotone.dark), hexRgb(f.duotone.light)];
+  for (let p = 0; p < data.length; p += 4) {
+    let r = lut[data[p]], g = lut[data[p + 1]], b = lut[data[p + 2]];
+    for (const m of mats) {
+      const r2 = m[0] * r + m[1] * g + m[2] * b, g2 = m[3] * r + m[4] * g + m[5] * b, b2 = m[6] * r + m[7] * g + m[8] * b;
+      r = clamp01(r2); g = clamp01(g2); b = clamp01(b2);
+    }
+    if (duo) {
+      const l = clamp01(LUMA[0] * r + LUMA[1] * g + LUMA[2] * b);
+      r = duo[0][0] + (duo[1][0] - duo[0][0]) * l;
+      g = duo[0][1] + (duo[1][1] - duo[0][1]) * l;
+      b = duo[0][2] + (duo[1][2] - duo[0][2]) * l;
+    }
+    data[p] = Math.round(r * 255); data[p + 1] = Math.round(g * 255); data[p + 2] = Math.round(b * 255);
+  }
+  return data;
+}
+
+const scratch = (w, h) => {
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(w, h);
+  const c = document.createElement("canvas");
+  c.width = w; c.height = h;
+  return c;
+};
+
+// the src rect of `image` drawn at w×h and graded; returns a canvas to draw
+export function adjustedImage(image, src, w, h, a) {
+  const canvas = scratch(Math.max(1, w), Math.max(1, h));
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(image, src.sx, src.sy, src.sw, src.sh, 0, 0, canvas.width, canvas.height);
+  const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  adjustPixels(img.data, a);
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
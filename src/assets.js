@@ -0,0 +1,88 @@
+import { useEffect, useState } from "react";
+import { idbGet, idbSet, idbDel, idbAll } from "./idb.js";
+
+/* ----------------------------- image assets ----------------------------- */
+// Originals live in IndexedDB keyed by a SHA-256 of their bytes, so the same
+// file is stored once however often it's added. Image elements only carry
+// `asset: hash` plus the original's size (_natW/_natH, which all crop maths
+// uses). The editor shows a downscaled proxy; export reads the original.
+// record: { hash, blob, name, type, size, w, h, added }
+export const PROXY_MAX = 1600;
+
+const toHex = (buf) => [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+// crypto.subtle only exists on https/localhost; fall back to a 53-bit hash elsewhere
+function weakHash(bytes) {
+  let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+  for (const b of bytes) { h1 = Math.imul(h1 ^ b, 2654435761); h2 = Math.imul(h2 ^ b, 1597334677); }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return `w${(h2 >>> 0).toString(16).padStart(8, "0")}${(h1 >>> 0).toString(16).padStart(8, "0")}${bytes.length.toString(16)}`;
+}
+export async function hashBlob(blob) {
+  const buf = await blob.arrayBuffer();
+  return crypto.subtle ? toHex(await crypto.subtle.digest("SHA-256", buf)) : weakHash(new Uint8Array(buf));
+}
+
+async function makeProxy(bmp) {
+  const k = Math.min(1, PROXY_MAX / Math.max(bmp.width, bmp.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(bmp.width * k)); canvas.height = Math.max(1, Math.round(bmp.height * k));
+  canvas.getContext("2d").drawImage(bmp, 0, 0, canvas.width, canvas.height);
+  // WebP keeps transparency; browsers that can't write it hand back PNG
+  return new Promise(res => canvas.toBlob(res, "image/webp", 0.85));
+}
+
+const meta = (record) => { const { blob: _blob, ...rest } = record; return rest; };
+
+// store a file (or blob) once; returns its record without the blob
+export async function putAsset(blob, name = blob.name || "image") {
+  const hash = await hashBlob(blob);
+  const existing = await idbGet(hash, "assets");
+  if (existing) return meta(existing);
+  const bmp = await createImageBitmap(blob);
+  try {
+    const record = { hash, blob, name, type: blob.type, size: blob.size, w: bmp.width, h: bmp.height, added: Date.now() };
+    await idbSet(hash, await makeProxy(bmp), "proxies");
+    await idbSet(hash, record, "assets");
+    return meta(record);
+  } finally {
+    bmp.close();
+  }
+}
+
+export async function getAsset(hash) {
+  const r = await idbGet(hash, "assets");
+  if (!r) throw new Error("Image asset is missing from this browser");
+  return r;
+}
+export const getAssetBlob = async (hash) => (await getAsset(hash)).blob;
+export const listAssets = async () => (await idbAll("assets")).map(meta).sort((a, b) => a.added - b.added);
+
+export const getProxyBlob = (hash) => idbGet(hash, "proxies");
+
+// one object URL per proxy for the whole session
+const proxyURLs = new Map();
+export function proxyURL(hash) {
+  if (!proxyURLs.has(hash)) {
+    proxyURLs.set(hash, idbGet(hash, "proxies").then(b => (b ? URL.createObjectURL(b) : null)));
+  }
+  return proxyURLs.get(hash);
+}
+export function useProxyURL(hash) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    let live = true;
+    setUrl(null);
+    if (hash) proxyURL(hash).then(u => { if (live) setUrl(u); }).catch(() => {});
+    return () => { live = false; };
+  }, [hash]);
+  return url;
+}
+
+export async function deleteAsset(hash) {
+  const url = await proxyURLs.get(hash)?.catch(() => null);
+  if (url) URL.revokeObjectURL(url);
+  proxyURLs.delete(hash);
+  await idbDel(hash, "proxies");
+  await idbDel(hash, "assets");
+}
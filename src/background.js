@@ -0,0 +1,72 @@
+/* ------------------------------ background ------------------------------ */
+// doc.background sits under everything:
+//   { kind: "solid" | "boards" | "linear" | "radial", boardColours: [],
+//     from, to, angle, image: { asset, _natW, _natH, fit: "cover" | "tile", tile, opacity } | null }
+// bgColour stays the base colour (the solid fill, and any board without its
+// own colour). Gradients and the image are laid out over the whole spread,
+// so each board shows its slice of one continuous background and the export
+// paints the same geometry the preview's CSS does.
+export const BACKGROUND_DEFAULTS = {
+  kind: "solid", boardColours: [], from: "#000000", to: "#1aff5c", angle: 90, image: null,
+};
+export const BACKGROUND_KINDS = { solid: "Solid", boards: "Per board", linear: "Linear", radial: "Radial" };
+export const withBackgroundDefaults = (b) => ({ ...BACKGROUND_DEFAULTS, ...b });
+
+// CSS linear-gradient geometry: the line runs through the centre at `angle`
+// (0 = upwards, clockwise) and is long enough for the corners to hit 0%/100%
+export function gradientLine(W, H, angle) {
+  const a = (angle * Math.PI) / 180;
+  const dx = Math.sin(a), dy = -Math.cos(a);
+  const half = (Math.abs(W * dx) + Math.abs(H * dy)) / 2;
+  return { x0: W / 2 - dx * half, y0: H / 2 - dy * half, x1: W / 2 + dx * half, y1: H / 2 + dy * half };
+}
+const radialRadius = (W, H) => Math.hypot(W / 2, H / 2);
+
+export const boardColour = (bg, base, i) => (bg.kind === "boards" && bg.boardColours[i]) || base;
+
+// CSS for the spread-wide fill (per-board colours are separate boxes)
+export function cssFill(bg, base, W, H) {
+  if (bg.kind === "linear") return `linear-gradient(${bg.angle}deg, ${bg.from}, ${bg.to})`;
+  if (bg.kind === "radial") return `radial-gradient(circle ${radialRadius(W, H)}px at ${W / 2}px ${H / 2}px, ${bg.from}, ${bg.to})`;
+  return base;
+}
+
+// background image boxes in spread units
+export function coverBox(img, W, H) {
+  const k = Math.max(W / img._natW, H / img._natH);
+  const w = img._natW * k, h = img._natH * k;
+  return { x: (W - w) / 2, y: (H - h) / 2, w, h };
+}
+export const tileBox = (img) => ({ w: img.tile, h: (img.tile * img._natH) / img._natW });
+
+/* paint board `board` of a W×H spread; the caller has translated to the board's slice */
+export function paintBackground(ctx, bg, base, { board, BW, W, H, scale, bitmap }) {
+  const offsetX = board * BW;
+  ctx.save();
+  ctx.scale(scale, scale);
+  ctx.translate(-offsetX, 0);
+  if (bg.kind === "linear") {
+    const l = gradientLine(W, H, bg.angle);
+    ctx.fillStyle = stops(ctx.createLinearGradient(l.x0, l.y0, l.x1, l.y1), bg);
+  } else if (bg.kind === "radial") {
+    ctx.fillStyle = stops(ctx.createRadialGradient(W / 2, H / 2, 0, W / 2, H / 2, radialRadius(W, H)), bg);
+  } else {
+    ctx.fillStyle = boardColour(bg, base, board);
+  }
+  ctx.fillRect(offsetX, 0, BW, H);
+  if (bg.image && bitmap) {
+    ctx.globalAlpha = bg.image.opacity ?? 1;
+    if (bg.image.fit === "tile") {
+      const t = tileBox(bg.image);
+      const pattern = ctx.createPattern(bitmap, "repeat");
+      pattern.setTransform(new DOMMatrix().scale(t.w / bitmap.width, t.h / bitmap.height));
+      ctx.fillStyle = pattern;
+      ctx.fillRect(offsetX, 0, BW, H);
+    } else {
+      const b = coverBox(bg.image, W, H);
+      ctx.drawImage(bitmap, b.x, b.y, b.w, b.h);
+    }
+  }
+  ctx.restore();
+}
+const stops = (g, bg) => { g.addColorStop(0, bg.from); g.addColorStop(1, bg.to); return g; };
@@ -0,0 +1,52 @@
+import { frameBounds } from "./frame.js";
+
+/* ---------------------------- batch variants ---------------------------- */
+// Scores a generated arrangement so a batch can be ranked. All parts are
+// 0..1 (better high, except overlap), worked out on a coarse grid per board:
+//   overlap   share of image area covered by more than one image
+//   coverage  share of the spread under some image
+//   balance   how evenly that coverage spreads over the boards (1 - CV)
+//   empty     boards with next to nothing on them (a count)
+export const BATCH_MAX = 60;
+const CELLS = 48;          // grid cells along a board's long side
+const EMPTY_BOARD = 0.02;  // below this coverage a board counts as empty
+const FULL_COVERAGE = 0.6; // coverage past this earns nothing more
+// total (0..100) = 35% coverage + 30% balance + 35% no overlap, minus up to 50 for empty boards
+
+export function scoreLayout(images, { boards, BW, BH }) {
+  const step = Math.max(BW, BH) / CELLS;
+  const cols = Math.ceil(BW / step), rows = Math.ceil(BH / step);
+  const hits = new Uint16Array(boards * cols * rows);
+  const boxes = images.map(frameBounds);
+  for (const b of boxes) {
+    const r0 = Math.max(0, Math.floor(b.y / step)), r1 = Math.min(rows - 1, Math.ceil((b.y + b.h) / step) - 1);
+    for (let k = 0; k < boards; k++) {
+      // the part on board k, in that board's cells
+      const x0 = Math.max(b.x, k * BW) - k * BW, x1 = Math.min(b.x + b.w, (k + 1) * BW) - k * BW;
+      if (x1 <= x0) continue;
+      const c0 = Math.floor(x0 / step), c1 = Math.min(cols - 1, Math.ceil(x1 / step) - 1);
+      for (let r = r0; r <= r1; r++) for (let c = c0; c <= c1; c++) hits[(k * rows + r) * cols + c]++;
+    }
+  }
+  const perBoard = [];
+  let covered = 0, stacked = 0, filled = 0;
+  for (let b = 0; b < boards; b++) {
+    let n = 0;
+    for (let i = 0; i < rows * cols; i++) {
+      const h = hits[b * rows * cols + i];
+      if (h) { n++; filled += h; }
+      if (h > 1) stacked += h - 1;
+    }
+    covered += n;
+    perBoard.push(n / (rows * cols));
+  }
+  const mean = perBoard.reduce((s, v) => s + v, 0) / boards;
+  const sd = Math.sqrt(perBoard.reduce((s, v) => s + (v - mean) ** 2, 0) / boards);
+  const overlap = filled ? stacked / filled : 0;
+  const coverage = covered / (boards * rows * cols);
+  const balance = mean ? Math.max(0, 1 - sd / mean) : 0;
+  const empty = perBoard.filter(v => v < EMPTY_BOARD).length;
+  const total = Math.round(100 * Math.max(0,
+    0.35 * Math.min(1, coverage / FULL_COVERAGE) + 0.3 * balance + 0.35 * (1 - overlap) - 0.5 * (empty / boards)));
+  return { overlap, coverage, balance, empty, total };
+}
@@ -0,0 +1,68 @@
+import { boundsOf } from "./selection.js";
+import { frameBounds } from "./frame.js";
+
+/* ---------------------------- board operations ---------------------------- */
+// Every board operation is a new board order: an array with one entry per
+// resulting board, holding the old board it shows (or null for a blank one).
+//   insert at k     [0 .. k-1, null, k ..]
+//   delete k        the old order without k
+//   duplicate k     k listed twice, side by side
+//   move a -> b     a permutation
+//   resize to n     the first n boards, blanks added at the end
+// Each element (or group, as one unit) belongs to the board under the centre
+// of its bounds, so anything straddling a seam goes wherever most of it sits
+// and moves, is copied or is deleted with that board, keeping its offset.
+// The first copy of a board keeps the element ids; later copies get new ones
+// (and new group ids, so a duplicated group is a group of its own).
+
+const range = (n) => [...Array(n).keys()];
+
+export const insertOrder = (boards, at) => [...range(at), null, ...range(boards).slice(at)];
+export const deleteOrder = (boards, at) => range(boards).filter(b => b !== at);
+export const duplicateOrder = (boards, at) => range(boards).flatMap(b => (b === at ? [b, b] : [b]));
+export const resizeOrder = (boards, n) => range(n).map(b => (b < boards ? b : null));
+export function moveOrder(boards, from, to) {
+  const order = range(boards).filter(b => b !== from);
+  order.splice(to, 0, from);
+  return order;
+}
+
+// the fewest boards that still hold every image and text box (shapes don't count)
+export function boardsInUse(elements, { BW }) {
+  const ends = elements.filter(n => n.kind !== "shape").map(n => { const b = frameBounds(n); return Math.ceil((b.x + b.w) / BW - 1e-6); });
+  return Math.max(1, ...ends);
+}
+
+// the board an element (or its group) belongs to
+function homeBoards(elements, { boards, BW }) {
+  const groups = new Map();
+  for (const n of elements) if (n.groupId) groups.set(n.groupId, [...(groups.get(n.groupId) || []), frameBounds(n)]);
+  const home = (b) => Math.max(0, Math.min(boards - 1, Math.floor((b.x + b.w / 2) / BW)));
+  return new Map(elements.map(n => [n.id, home(n.groupId ? boundsOf(groups.get(n.groupId)) : frameBounds(n))]));
+}
+
+// -> { boards, elements, boardColours } for the new order; copies sit just
+// above their source in the stack
+export function reorderBoards(order, { elements, boardColours = [] }, geo, newId) {
+  const home = homeBoards(elements, geo);
+  const places = new Map();    // old board -> the new boards showing it
+  order.forEach((b, p) => { if (b !== null) places.set(b, [...(places.get(b) || []), p]); });
+  const regrouped = new Map(); // "copy:groupId" -> the copy's group id
+  const regroup = (copy, g) => {
+    const key = `${copy}:${g}`;
+    if (!regrouped.has(key)) regrouped.set(key, newId());
+    return regrouped.get(key);
+  };
+  const stack = elements.flatMap(n => {
+    const b = home.get(n.id);
+    return (places.get(b) || []).map((p, copy) => {
+      const moved = { ...n, x: n.x + (p - b) * geo.BW };
+      return copy ? { ...moved, id: newId(), groupId: n.groupId && regroup(copy, n.groupId) } : moved;
+    });
+  });
+  return {
+    boards: order.length,
+    elements: stack,
+    boardColours: order.map(b => (b === null ? null : boardColours[b] ?? null)),
+  };
+}
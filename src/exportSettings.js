@@ -0,0 +1,31 @@
+/* --------------------------- export settings --------------------------- */
+// Saved with the project (doc.exportSettings) so each client account keeps its
+// own formats and naming. Older projects get EXPORT_DEFAULTS.
+export const EXPORT_FORMATS = {
+  png: { type: "image/png", ext: "png", label: "PNG", lossy: false },
+  jpeg: { type: "image/jpeg", ext: "jpg", label: "JPG", lossy: true },
+  webp: { type: "image/webp", ext: "webp", label: "WebP", lossy: true },
+};
+export const COLOR_SPACES = { srgb: "sRGB", "display-p3": "Display P3" };
+
+export const EXPORT_DEFAULTS = {
+  format: "png",
+  quality: 0.92,          // JPEG / WebP (PDF pages are always JPEG)
+  maxBytes: 0,            // per slide; 0 = no limit
+  fileName: "{project}_{board}",
+  bundleName: "{project}",  // ZIP, PDF and stitched spread
+  colorSpace: "srgb",
+};
+export const withExportDefaults = (s) => ({ ...EXPORT_DEFAULTS, ...s });
+
+export const NAME_TOKENS = ["{project}", "{board}", "{boards}", "{w}", "{h}", "{scale}", "{date}"];
+
+const pad = (n) => String(n).padStart(2, "0");
+const today = () => { const d = new Date(); return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`; };
+
+// "{project}_{board}" + tokens -> safe file name without extension
+export function fileNameFrom(template, tokens) {
+  const values = { date: today(), ...tokens };
+  const name = template.replace(/\{(\w+)\}/g, (m, k) => (k in values ? String(values[k]) : m));
+  return name.replace(/[\\/:*?"<>|]+/g, "-").trim() || "untitled";
+}
@@ -0,0 +1,48 @@
+import { paintRender, encodeRender, bitmapCache, hasText } from "./render.js";
+
+/* ----------------------------- export worker ----------------------------- */
+// in:  { id, job, renders, images: [[id, Blob]], fonts: [{ family, src }] }
+// out: { id, type: "progress", board, value } | { id, type: "blob", index, blob }
+//      { id, type: "done" } | { id, type: "error", message, unsupported, index }
+// `unsupported` means this worker can't do the job and the main thread should;
+// `index` is the render that failed.
+// Cancelling terminates the worker, so there is no cancel message.
+const loaded = new Set();
+async function addFonts(fonts) {
+  for (const f of fonts) {
+    if (loaded.has(f.family)) continue;
+    const face = new FontFace(f.family, `url(${f.src})`);
+    await face.load();
+    self.fonts.add(face);
+    loaded.add(f.family);
+  }
+}
+
+self.onmessage = async ({ data: { id, job, renders, images, fonts } }) => {
+  const post = (msg) => self.postMessage({ id, ...msg });
+  // text needs fonts inside the worker; without them the main thread takes over
+  if (hasText(renders) && !self.fonts) { post({ type: "error", unsupported: true, message: "No fonts in worker" }); return; }
+  if (fonts.length && self.fonts) {
+    try { await addFonts(fonts); }
+    catch (err) { post({ type: "error", unsupported: true, message: `Fonts failed to load in worker: ${err.message || err}` }); return; }
+  }
+  const bitmaps = bitmapCache(new Map(images));
+  let index = null;
+  try {
+    for (index = 0; index < renders.length; index++) {
+      const r = renders[index];
+      const canvas = new OffscreenCanvas(r.width, r.height);
+      await paintRender(canvas.getContext("2d", { colorSpace: r.colorSpace }), r, job, bitmaps, {
+        onProgress: (board, value) => post({ type: "progress", board, value }),
+        loadFont: (f) => self.fonts.load(f),
+      });
+      const blob = await encodeRender((type, quality) => canvas.convertToBlob({ type, quality }), r);
+      post({ type: "blob", index, blob });
+    }
+    post({ type: "done" });
+  } catch (err) {
+    post({ type: "error", message: err.message || String(err), index });
+  } finally {
+    bitmaps.close();
+  }
+};
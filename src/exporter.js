@@ -0,0 +1,99 @@
+import { paintRender, encodeRender, bitmapCache, abortError } from "./render.js";
+
+/* ------------------------------- exporter ------------------------------- */
+// renderImages(job, renders, opts) -> Promise<Blob[]>, one Blob per render.
+// Renders in a worker on OffscreenCanvas when the browser has it, otherwise
+// on the main thread, yielding between boards so the progress bar moves. The
+// main thread only takes over when the worker can't run the job at all (no
+// OffscreenCanvas, the worker fails to start, no fonts in workers); a slide
+// that fails to paint or encode in the worker fails the export, naming it.
+// opts: { images: Map<id, Blob>, fonts, onProgress(board, 0..1), signal }
+
+// Largest canvas every current browser will allocate (Safari is the limit).
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 16384 * 16384 / 4;
+
+// export scale for a w×h canvas, reduced only when the canvas would be too big
+export function fitCanvasScale(w, h, scale) {
+  return scale * Math.min(1, MAX_CANVAS_SIDE / (w * scale), MAX_CANVAS_SIDE / (h * scale), Math.sqrt(MAX_CANVAS_AREA / (w * h * scale * scale)));
+}
+
+export const canvasBlob = (canvas, type, quality) => new Promise((res, rej) =>
+  canvas.toBlob(b => b ? res(b) : rej(new Error("Canvas too large to encode")), type, quality));
+
+const workerSupported = () =>
+  typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined" && "convertToBlob" in OffscreenCanvas.prototype;
+
+let worker = null;
+let workerBroken = false;   // module workers can fail to start (old browsers, strict CSP)
+let runSeq = 0;
+
+function inWorker(job, renders, { images, fonts, onProgress, signal }) {
+  worker ||= new Worker(new URL("./exportWorker.js", import.meta.url), { type: "module" });
+  const w = worker, id = ++runSeq;
+  return new Promise((resolve, reject) => {
+    const blobs = [];
+    let started = false;   // an error before the first message means the worker never ran
+    const finish = () => {
+      w.removeEventListener("message", onMessage);
+      w.removeEventListener("error", onError);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const kill = () => { w.terminate(); if (worker === w) worker = null; };
+    const onMessage = ({ data: m }) => {
+      if (m.id !== id) return;
+      started = true;
+      if (m.type === "progress") onProgress?.(m.board, m.value);
+      else if (m.type === "blob") blobs[m.index] = m.blob;
+      else if (m.type === "done") { finish(); resolve(blobs); }
+      else if (m.type === "error") {
+        finish();
+        const message = m.index == null ? m.message : `${renderName(renders[m.index])}: ${m.message}`;
+        reject(Object.assign(new Error(message), { unsupported: !!m.unsupported }));
+      }
+    };
+    const onError = (e) => {
+      finish(); kill();
+      if (!started) workerBroken = true;
+      reject(Object.assign(new Error(e.message || "Export worker failed"), { unsupported: !started }));
+    };
+    const onAbort = () => { finish(); kill(); reject(abortError()); };
+    if (signal?.aborted) { onAbort(); return; }
+    w.addEventListener("message", onMessage);
+    w.addEventListener("error", onError);
+    signal?.addEventListener("abort", onAbort);
+    w.postMessage({ id, job, renders, images: [...images], fonts });
+  });
+}
+
+// "slide 3" for one board, "spread" for the stitched spread
+const renderName = (r) => (r.slices.length === 1 ? `slide ${r.slices[0].board + 1}` : "spread");
+
+async function onMainThread(job, renders, { images, onProgress, signal }) {
+  const bitmaps = bitmapCache(images);
+  try {
+    const blobs = [];
+    for (const r of renders) {
+      const canvas = document.createElement("canvas");
+      canvas.width = r.width; canvas.height = r.height;
+      const ctx = canvas.getContext("2d", { colorSpace: r.colorSpace });
+      await paintRender(ctx, r, job, bitmaps, { onProgress, signal, loadFont: (f) => document.fonts.load(f) });
+      blobs.push(await encodeRender((type, quality) => canvasBlob(canvas, type, quality), r));
+      await new Promise(res => setTimeout(res));
+      if (signal?.aborted) throw abortError();
+    }
+    return blobs;
+  } finally {
+    bitmaps.close();
+  }
+}
+
+export async function renderImages(job, renders, opts) {
+  if (workerSupported() && !workerBroken) {
+    try { return await inWorker(job, renders, opts); }
+    catch (err) {
+      if (!err.unsupported) throw err;
+    }
+  }
+  return onMainThread(job, renders, opts);
+}
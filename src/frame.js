@@ -0,0 +1,86 @@
+/* ----------------------------- image frames ----------------------------- */
+// How an image sits in its box, stored on the element beside x/y/w/h:
+//   rotation (degrees about the centre, as shapes), radius (corner radius in
+//   spread units, rect mask), mask: "rect" | "circle" | "ellipse" | "arch",
+//   stroke: { width, colour } | null, shadow: { x, y, blur, colour, opacity } | null
+// Everything follows CSS: the stroke is a border inside the mask edge, the
+// shadow a box-shadow whose offset turns with the frame and which never
+// shows under the image. The export draws the same geometry (render.js).
+export const MASKS = { rect: "Rectangle", circle: "Circle", ellipse: "Ellipse", arch: "Arch" };
+export const STROKE_DEFAULTS = { width: 8, colour: "#ffffff" };
+export const SHADOW_DEFAULTS = { x: 0, y: 12, blur: 32, colour: "#000000", opacity: 0.5 };
+export const ROTATE_SNAP = 15;
+
+export const isRotatable = (n) => n.kind === "image" || n.kind === "shape";
+// -180 < deg <= 180
+export const normalizeAngle = (deg) => { const a = ((deg % 360) + 360) % 360; return a > 180 ? a - 360 : a; };
+
+// The masked area of a w×h frame (relative to its top-left) as a box with
+// per-corner [rx, ry] radii: tl, tr, br, bl.
+export function maskShape({ w, h, mask = "rect", radius = 0 }) {
+  const all = (rx, ry) => ({ tl: [rx, ry], tr: [rx, ry], br: [rx, ry], bl: [rx, ry] });
+  if (mask === "circle") {
+    const d = Math.min(w, h);
+    return { x: (w - d) / 2, y: (h - d) / 2, w: d, h: d, ...all(d / 2, d / 2) };
+  }
+  if (mask === "ellipse") return { x: 0, y: 0, w, h, ...all(w / 2, h / 2) };
+  if (mask === "arch") {
+    const ry = Math.min(w / 2, h);
+    return { x: 0, y: 0, w, h, tl: [w / 2, ry], tr: [w / 2, ry], br: [0, 0], bl: [0, 0] };
+  }
+  const r = Math.max(0, Math.min(radius, w / 2, h / 2));
+  return { x: 0, y: 0, w, h, ...all(r, r) };
+}
+
+export const cssRadius = (m) =>
+  `${m.tl[0]}px ${m.tr[0]}px ${m.br[0]}px ${m.bl[0]}px / ${m.tl[1]}px ${m.tr[1]}px ${m.br[1]}px ${m.bl[1]}px`;
+
+// trace a maskShape() outline into a CanvasPath (context or Path2D)
+export function traceMask(p, { x, y, w, h, tl, tr, br, bl }) {
+  const q = Math.PI / 2;
+  p.moveTo(x + tl[0], y);
+  p.lineTo(x + w - tr[0], y);
+  p.ellipse(x + w - tr[0], y + tr[1], tr[0], tr[1], 0, -q, 0);
+  p.lineTo(x + w, y + h - br[1]);
+  p.ellipse(x + w - br[0], y + h - br[1], br[0], br[1], 0, 0, q);
+  p.lineTo(x + bl[0], y + h);
+  p.ellipse(x + bl[0], y + h - bl[1], bl[0], bl[1], 0, q, 2 * q);
+  p.lineTo(x, y + tl[1]);
+  p.ellipse(x + tl[0], y + tl[1], tl[0], tl[1], 0, 2 * q, 3 * q);
+  p.closePath();
+  return p;
+}
+
+export const rgba = (hex, alpha = 1) => {
+  const v = parseInt(hex.replace("#", ""), 16);
+  return `rgba(${(v >> 16) & 255}, ${(v >> 8) & 255}, ${v & 255}, ${alpha})`;
+};
+export const cssShadow = (s) => (s ? `${s.x}px ${s.y}px ${s.blur}px ${rgba(s.colour, s.opacity)}` : undefined);
+
+// axis-aligned box around a rotated frame
+export function frameBounds(n) {
+  if (!n.rotation) return { x: n.x, y: n.y, w: n.w, h: n.h };
+  const a = (n.rotation * Math.PI) / 180;
+  const c = Math.abs(Math.cos(a)), s = Math.abs(Math.sin(a));
+  const w = n.w * c + n.h * s, h = n.w * s + n.h * c;
+  return { x: n.x + (n.w - w) / 2, y: n.y + (n.h - h) / 2, w, h };
+}
+// ...grown by the shadow, for deciding which boards paint it
+export function paintBounds(n) {
+  const b = frameBounds(n);
+  if (!n.shadow) return b;
+  const e = Math.max(Math.abs(n.shadow.x), Math.abs(n.shadow.y)) + n.shadow.blur;
+  return { x: b.x - e, y: b.y - e, w: b.w + e * 2, h: b.h + e * 2 };
+}
+
+// (x, y) turned by deg
+export const rotateVec = (x, y, deg) => {
+  const a = (deg * Math.PI) / 180, c = Math.cos(a), s = Math.sin(a);
+  return { x: x * c - y * s, y: x * s + y * c };
+};
+
+// is spread point (px, py) inside the (possibly rotated) frame, grown by pad?
+export function insideFrame(n, px, py, pad = 0) {
+  const p = rotateVec(px - (n.x + n.w / 2), py - (n.y + n.h / 2), -(n.rotation || 0));
+  return Math.abs(p.x) <= n.w / 2 + pad && Math.abs(p.y) <= n.h / 2 + pad;
+}
@@ -0,0 +1,57 @@
+import { useRef, useState } from "react";
+
+/* --------------------------- undo / redo --------------------------- */
+// Snapshot history over the project doc. Call checkpoint(label) *before* an
+// edit: it stores the current doc so the edit can be undone. Repeated
+// checkpoints with the same label inside COALESCE_MS (slider drags, typing
+// into a number field) collapse into one entry.
+const HISTORY_LIMIT = 100;
+const COALESCE_MS = 700;
+
+export function useHistory(getDoc, applyDoc) {
+  const stacks = useRef({ past: [], future: [] });   // past: doc before label; future: doc after label
+  const last = useRef({ label: null, at: 0 });
+  const io = useRef({ getDoc, applyDoc });
+  io.current = { getDoc, applyDoc };
+  const [, setVersion] = useState(0);
+  const bump = () => setVersion(v => v + 1);
+
+  const checkpoint = (label, { coalesce = false } = {}) => {
+    const now = Date.now();
+    const same = coalesce && last.current.label === label && now - last.current.at < COALESCE_MS;
+    last.current = { label, at: now };
+    if (same) return;
+    const { past } = stacks.current;
+    past.push({ label, doc: io.current.getDoc() });
+    if (past.length > HISTORY_LIMIT) past.shift();
+    stacks.current.future = [];
+    bump();
+  };
+
+  // move to a position in the list: 0 = oldest snapshot, past.length = now
+  const jump = (pos) => {
+    const { past, future } = stacks.current;
+    if (pos === past.length || pos < 0 || pos > past.length + future.length) return;
+    let cur = io.current.getDoc();
+    while (past.length > pos) { const e = past.pop(); future.push({ label: e.label, doc: cur }); cur = e.doc; }
+    while (past.length < pos) { const e = future.pop(); past.push({ label: e.label, doc: cur }); cur = e.doc; }
+    last.current = { label: null, at: 0 };
+    io.current.applyDoc(cur);
+    bump();
+  };
+  const undo = () => jump(stacks.current.past.length - 1);
+  const redo = () => jump(stacks.current.past.length + 1);
+  const reset = () => { stacks.current = { past: [], future: [] }; last.current = { label: null, at: 0 }; bump(); };
+
+  const { past, future } = stacks.current;
+  const entries = [
+    { label: "Start" },
+    ...past.map(e => ({ label: e.label })),
+    ...[...future].reverse().map(e => ({ label: e.label })),
+  ];
+  return {
+    entries, position: past.length,
+    canUndo: past.length > 0, canRedo: future.length > 0,
+    checkpoint, undo, redo, jump, reset,
+  };
+}
@@ -0,0 +1,35 @@
+/* ------------------------- tiny IndexedDB kv ------------------------- */
+// "kv" holds the autosave; "assets" (original image blobs + metadata) and
+// "proxies" (downscaled editing copies) are keyed by content hash.
+const DB_NAME = "858-random-spread";
+const DB_VERSION = 2;
+const STORES = ["kv", "assets", "proxies"];
+
+let dbPromise = null;
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((res, rej) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      for (const s of STORES) if (!req.result.objectStoreNames.contains(s)) req.result.createObjectStore(s);
+    };
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => { dbPromise = null; rej(req.error); };
+  });
+  return dbPromise;
+}
+
+function run(store, mode, fn) {
+  return openDB().then(db => new Promise((res, rej) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => res(req?.result);
+    tx.onerror = () => rej(tx.error);
+    tx.onabort = () => rej(tx.error);
+  }));
+}
+
+export const idbGet = (key, store = "kv") => run(store, "readonly", s => s.get(key));
+export const idbSet = (key, value, store = "kv") => run(store, "readwrite", s => s.put(value, key));
+export const idbDel = (key, store = "kv") => run(store, "readwrite", s => s.delete(key));
+export const idbAll = (store = "kv") => run(store, "readonly", s => s.getAll());
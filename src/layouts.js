@@ -0,0 +1,212 @@
+/* ------------------------------- layouts ------------------------------- */
+// Pure layouts: (units, geometry, params, rng) -> units with new x/y/w/h,
+// nothing else read or written; only seamContinuity draws from rng. geometry is { boards, BW, BH, spacing }; spacing is
+// both the board margin and the gutter. Units keep their order, so callers
+// shuffle first when they want a seeded variation. Groups arrive as
+// withGroups() proxies and lay out like any other image.
+export const PHI = (1 + Math.sqrt(5)) / 2;
+
+const aspect = (n) => (n._natW && n._natH ? n._natW / n._natH : n.w && n.h ? n.w / n.h : 1.5);
+
+// units split over boards as evenly as possible, keeping order
+export function perBoard(units, boards) {
+  const out = Array.from({ length: boards }, () => []);
+  const base = Math.floor(units.length / boards), extra = units.length % boards;
+  let i = 0;
+  for (let b = 0; b < boards; b++) {
+    const n = base + (b < extra ? 1 : 0);
+    out[b] = units.slice(i, i + n);
+    i += n;
+  }
+  return out;
+}
+const innerBox = (b, { BW, BH, spacing }) => ({ x: b * BW + spacing, y: spacing, w: BW - spacing * 2, h: BH - spacing * 2 });
+
+/* ---------------- justified rows ---------------- */
+// Greedy rows at targetH, each scaled so it exactly spans the width; a short
+// last row keeps targetH unless `justifyLast`.
+function rowsAt(ars, W, gap, targetH, justifyLast) {
+  const rows = [];
+  let row = [], sum = 0;
+  const close = (last) => {
+    const free = W - gap * (row.length - 1);
+    const h = last && !justifyLast ? Math.min(targetH, free / sum) : free / sum;
+    rows.push({ items: row, h });
+    row = []; sum = 0;
+  };
+  ars.forEach((ar, i) => {
+    row.push(i); sum += ar;
+    if (sum * targetH + gap * (row.length - 1) >= W) close(false);
+  });
+  if (row.length) close(true);
+  return rows;
+}
+const rowsHeight = (rows, gap) => rows.reduce((s, r) => s + r.h, 0) + gap * Math.max(0, rows.length - 1);
+
+// params: { rowHeight } target row height in spread units; fill: pick the row
+// height that fills the board height instead
+export function justifiedRows(units, geo, { rowHeight = 360, fill = true } = {}) {
+  const gap = geo.spacing;
+  return perBoard(units, geo.boards).flatMap((list, b) => {
+    if (!list.length) return [];
+    const box = innerBox(b, geo);
+    const ars = list.map(aspect);
+    let rows = rowsAt(ars, box.w, gap, rowHeight, fill);
+    if (fill) {
+      // row count only changes in steps, so search for the closest fit
+      let lo = 8, hi = box.h, best = rows;
+      for (let i = 0; i < 32; i++) {
+        const mid = (lo + hi) / 2, r = rowsAt(ars, box.w, gap, mid, true);
+        if (Math.abs(rowsHeight(r, gap) - box.h) < Math.abs(rowsHeight(best, gap) - box.h)) best = r;
+        if (rowsHeight(r, gap) > box.h) hi = mid; else lo = mid;
+      }
+      rows = best;
+    }
+    // too tall for the board: shrink everything uniformly and centre the block
+    const total = rowsHeight(rows, gap);
+    const k = total > box.h ? (box.h - gap * (rows.length - 1)) / (total - gap * (rows.length - 1)) : 1;
+    const out = [];
+    let y = box.y + Math.max(0, (box.h - (total - gap * (rows.length - 1)) * k - gap * (rows.length - 1)) / 2);
+    for (const r of rows) {
+      const h = r.h * k;
+      const rowW = r.items.reduce((s, i) => s + ars[i] * h, 0) + gap * (r.items.length - 1);
+      let x = box.x + (box.w - rowW) / 2;
+      for (const i of r.items) {
+        const w = ars[i] * h;
+        out.push({ ...list[i], x, y, w, h });
+        x += w + gap;
+      }
+      y += h + gap;
+    }
+    return out;
+  });
+}
+
+/* ---------------- grid templates ---------------- */
+// "3x2, 2x2, 1x1": columns x rows for board 1, 2, 3...; the last repeats.
+export function parseGridTemplates(text) {
+  const list = String(text).split(/[,;\s]+/).map(t => /^(\d+)\s*[x×]\s*(\d+)$/i.exec(t.trim())).filter(Boolean)
+    .map(m => ({ cols: Math.max(1, Math.min(12, +m[1])), rows: Math.max(1, Math.min(12, +m[2])) }));
+  return list.length ? list : [{ cols: 2, rows: 2 }];
+}
+
+// Fills cells board by board, row-major. Units beyond the last cell are
+// returned unchanged.
+export function gridTemplate(units, geo, { templates = [{ cols: 2, rows: 2 }] } = {}) {
+  const gap = geo.spacing;
+  const out = [];
+  let i = 0;
+  for (let b = 0; b < geo.boards && i < units.length; b++) {
+    const { cols, rows } = templates[Math.min(b, templates.length - 1)];
+    const box = innerBox(b, geo);
+    const cw = (box.w - gap * (cols - 1)) / cols, ch = (box.h - gap * (rows - 1)) / rows;
+    for (let r = 0; r < rows && i < units.length; r++) {
+      for (let c = 0; c < cols && i < units.length; c++, i++) {
+        out.push({ ...units[i], x: box.x + c * (cw + gap), y: box.y + r * (ch + gap), w: cw, h: ch });
+      }
+    }
+  }
+  return [...out, ...units.slice(i)];
+}
+
+/* ---------------- recursive splits ---------------- */
+// golden: the first image takes 1/φ of the box along its longer side and the
+// rest recurse into the remainder, the cut turning like a golden spiral.
+// binary: the images halve at each level, the cut proportional to the counts.
+function split(list, box, gap, mode, depth, out) {
+  if (!list.length) return;
+  if (list.length === 1) { out.push({ ...list[0], ...box }); return; }
+  const vertical = box.w >= box.h;      // cut with a vertical line
+  const len = (vertical ? box.w : box.h) - gap;
+  const [first, rest] = mode === "golden"
+    ? [list.slice(0, 1), list.slice(1)]
+    : [list.slice(0, Math.ceil(list.length / 2)), list.slice(Math.ceil(list.length / 2))];
+  const a = mode === "golden" ? len / PHI : len * first.length / list.length;
+  const b = len - a;
+  // golden spiral: the big piece sits left, top, right, bottom in turn
+  const flip = mode === "golden" && depth % 4 >= 2;
+  const boxA = vertical
+    ? { x: flip ? box.x + b + gap : box.x, y: box.y, w: a, h: box.h }
+    : { x: box.x, y: flip ? box.y + b + gap : box.y, w: box.w, h: a };
+  const boxB = vertical
+    ? { x: flip ? box.x : box.x + a + gap, y: box.y, w: b, h: box.h }
+    : { x: box.x, y: flip ? box.y : box.y + a + gap, w: box.w, h: b };
+  split(first, boxA, gap, mode, depth + 1, out);
+  split(rest, boxB, gap, mode, depth + 1, out);
+}
+
+// params: { mode: "golden" | "binary" }
+export function recursiveSplit(units, geo, { mode = "golden" } = {}) {
+  return perBoard(units, geo.boards).flatMap((list, b) => {
+    const out = [];
+    split(list, innerBox(b, geo), geo.spacing, mode, 0, out);
+    return out;
+  });
+}
+
+/* ---------------- seam continuity ---------------- */
+// free images that don't fit shrink by SHRINK per round, down to about a fifth
+const SHRINK = 0.8, SHRINK_ROUNDS = 8;
+
+// `perSeam` images straddle every seam between boards, each showing at least
+// `minVisible` and at most half a board (less the gutter) on both sides of
+// the cut, so images on neighbouring seams never meet; the rest go wholly
+// inside a board without overlapping, shrinking until they fit. Needs an rng
+// for the free placement.
+export function seamContinuity(units, geo, { perSeam = 1, minVisible = 160 } = {}, rng = Math.random) {
+  const { boards, BW, BH, spacing } = geo;
+  const seams = boards - 1;
+  const bandH = (BH - spacing * 2 - spacing * (perSeam - 1)) / perSeam;
+  const half = (BW - spacing) / 2, minSide = Math.min(minVisible, half);
+  const placed = [];
+  const out = [];
+  let i = 0;
+  for (let s = 1; s <= seams; s++) {
+    const seamX = s * BW;
+    for (let k = 0; k < perSeam && i < units.length; k++, i++) {
+      const n = units[i], ar = aspect(n);
+      // as wide as it was, but never a sliver on either side and never past the neighbours
+      let w = Math.min(Math.max(n.w || BW * 0.5, minSide * 2 + spacing), half * 2);
+      let h = Math.min(w / ar, bandH);
+      w = Math.max(h * ar, minSide * 2);
+      h = Math.min(w / ar, bandH);
+      // the width left of the seam, keeping both sides within [minSide, half]
+      const lo = Math.max(minSide, w - half), hi = Math.min(half, w - minSide);
+      const x = seamX - lo - rng() * Math.max(0, hi - lo);
+      const y = spacing + k * (bandH + spacing) + rng() * Math.max(0, bandH - h);
+      const r = { ...n, x, y, w, h };
+      out.push(r); placed.push(r);
+    }
+  }
+  const free = (x, y, w, h) => !placed.some(o =>
+    x < o.x + o.w + spacing && o.x < x + w + spacing && y < o.y + o.h + spacing && o.y < y + h + spacing);
+  for (; i < units.length; i++) {
+    const n = units[i];
+    let w = Math.min(n.w, BW - spacing * 2), h = Math.min(n.h, BH - spacing * 2);
+    let r = null;
+    for (let round = 0; round < SHRINK_ROUNDS && !r; round++, w *= SHRINK, h *= SHRINK) {
+      for (let tries = 0; tries < 100 && !r; tries++) {
+        const b = Math.floor(rng() * boards);
+        const x = b * BW + spacing + rng() * (BW - w - spacing * 2), y = spacing + rng() * (BH - h - spacing * 2);
+        if (free(x, y, w, h)) r = { ...n, x, y, w, h };
+      }
+    }
+    // no room even shrunk: keep it inside the board it was on
+    if (!r) {
+      w = Math.min(n.w, BW - spacing * 2); h = Math.min(n.h, BH - spacing * 2);
+      const b = Math.max(0, Math.min(boards - 1, Math.floor((n.x + n.w / 2) / BW)));
+      r = { ...n, w, h, x: Math.max(b * BW + spacing, Math.min(n.x, (b + 1) * BW - w - spacing)), y: Math.max(spacing, Math.min(n.y, BH - h - spacing)) };
+    }
+    out.push(r); placed.push(r);
+  }
+  return out;
+}
+// seam x positions a box crosses, with the visible width on each side
+export function seamsCrossed(n, { boards, BW }) {
+  const out = [];
+  for (let s = 1; s < boards; s++) {
+    const x = s * BW;
+    if (n.x < x && n.x + n.w > x) out.push({ seam: s, left: x - n.x, right: n.x + n.w - x });
+  }
+  return out;
+}
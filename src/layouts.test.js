@@ -0,0 +1,151 @@
+import { describe, it, expect } from "vitest";
+import { PHI, perBoard, justifiedRows, parseGridTemplates, gridTemplate, recursiveSplit, seamContinuity, seamsCrossed } from "./layouts.js";
+import { createRng } from "./random.js";
+
+const geo = { boards: 3, BW: 1080, BH: 1350, spacing: 24 };
+const EPS = 1e-6;
+
+// photos of assorted shapes: landscape, portrait, square, panorama
+const SIZES = [[4000, 3000], [3000, 4000], [2000, 2000], [6000, 2000], [1600, 900], [1200, 1800], [3000, 2000]];
+const units = (n) => Array.from({ length: n }, (_, i) => {
+  const [w, h] = SIZES[i % SIZES.length];
+  return { id: `u${i}`, kind: "image", x: 0, y: 0, w: 300, h: 200, _natW: w, _natH: h };
+});
+
+const boardOf = (n) => Math.floor((n.x + n.w / 2) / geo.BW);
+
+// every box inside its board's margin (spacing from each edge)
+function expectInsideBoards(out) {
+  for (const n of out) {
+    const b = boardOf(n);
+    expect(b).toBeGreaterThanOrEqual(0);
+    expect(b).toBeLessThan(geo.boards);
+    expect(n.x).toBeGreaterThanOrEqual(b * geo.BW + geo.spacing - EPS);
+    expect(n.x + n.w).toBeLessThanOrEqual((b + 1) * geo.BW - geo.spacing + EPS);
+    expect(n.y).toBeGreaterThanOrEqual(geo.spacing - EPS);
+    expect(n.y + n.h).toBeLessThanOrEqual(geo.BH - geo.spacing + EPS);
+  }
+}
+
+// every pair at least `gap` apart along one axis
+function expectSpaced(out, gap = geo.spacing) {
+  for (let i = 0; i < out.length; i++) {
+    for (let j = i + 1; j < out.length; j++) {
+      const a = out[i], b = out[j];
+      const gx = Math.max(b.x - (a.x + a.w), a.x - (b.x + b.w));
+      const gy = Math.max(b.y - (a.y + a.h), a.y - (b.y + b.h));
+      expect(Math.max(gx, gy)).toBeGreaterThanOrEqual(gap - EPS);
+    }
+  }
+}
+
+describe("perBoard", () => {
+  it("splits evenly and keeps order", () => {
+    const parts = perBoard(units(7), 3);
+    expect(parts.map(p => p.length)).toEqual([3, 2, 2]);
+    expect(parts.flat().map(n => n.id)).toEqual(units(7).map(n => n.id));
+  });
+});
+
+describe("justifiedRows", () => {
+  for (const fill of [true, false]) {
+    it(`keeps aspect ratios, spacing and margins (fill: ${fill})`, () => {
+      const input = units(14);
+      const out = justifiedRows(input, geo, { rowHeight: 300, fill });
+      expect(out).toHaveLength(input.length);
+      for (const n of out) expect(n.w / n.h).toBeCloseTo(n._natW / n._natH, 6);
+      expectInsideBoards(out);
+      expectSpaced(out);
+    });
+  }
+
+  it("spans the board width on full rows", () => {
+    const out = justifiedRows(units(6), geo, { rowHeight: 300, fill: true });
+    const rows = new Map();
+    for (const n of out.filter(n => boardOf(n) === 0)) rows.set(Math.round(n.y), [...(rows.get(Math.round(n.y)) || []), n]);
+    const first = [...rows.values()][0];
+    const left = Math.min(...first.map(n => n.x)), right = Math.max(...first.map(n => n.x + n.w));
+    expect(right - left).toBeCloseTo(geo.BW - geo.spacing * 2, 6);
+  });
+
+  it("shrinks rows that would overflow the board", () => {
+    const out = justifiedRows(units(30), geo, { rowHeight: 900, fill: false });
+    expectInsideBoards(out);
+    for (const n of out) expect(n.w / n.h).toBeCloseTo(n._natW / n._natH, 6);
+  });
+});
+
+describe("gridTemplate", () => {
+  it("parses templates and falls back to 2x2", () => {
+    expect(parseGridTemplates("3x2, 1×1; 20x1")).toEqual([{ cols: 3, rows: 2 }, { cols: 1, rows: 1 }, { cols: 12, rows: 1 }]);
+    expect(parseGridTemplates("nonsense")).toEqual([{ cols: 2, rows: 2 }]);
+  });
+
+  it("fills equal cells inside the margins with spacing between them", () => {
+    const templates = parseGridTemplates("3x2, 2x2");
+    const out = gridTemplate(units(12), geo, { templates });
+    expect(out).toHaveLength(12);
+    expectInsideBoards(out.slice(0, 12));
+    expectSpaced(out);
+    // board 1 has 3 columns, boards 2 and 3 repeat the last template (2x2)
+    const cw = (geo.BW - geo.spacing * 2 - geo.spacing * 2) / 3;
+    for (const n of out.slice(0, 6)) expect(n.w).toBeCloseTo(cw, 6);
+    expect(out.slice(6).map(boardOf)).toEqual([1, 1, 1, 1, 2, 2]);
+  });
+
+  it("returns units beyond the last cell unchanged", () => {
+    const input = units(16);
+    const out = gridTemplate(input, geo, { templates: [{ cols: 2, rows: 2 }] });
+    expect(out.slice(12)).toEqual(input.slice(12));
+  });
+});
+
+describe("recursiveSplit", () => {
+  for (const mode of ["golden", "binary"]) {
+    it(`tiles each board inside the margins with spacing (${mode})`, () => {
+      const out = recursiveSplit(units(10), geo, { mode });
+      expect(out).toHaveLength(10);
+      expectInsideBoards(out);
+      expectSpaced(out);
+    });
+  }
+
+  it("gives the first image 1/φ of the board along the cut", () => {
+    const out = recursiveSplit(units(4), { ...geo, boards: 1 }, { mode: "golden" });
+    const len = geo.BH - geo.spacing * 2 - geo.spacing;     // portrait board: the first cut is horizontal
+    expect(out[0].h).toBeCloseTo(len / PHI, 6);
+    expect(out[0].w).toBeCloseTo(geo.BW - geo.spacing * 2, 6);
+  });
+
+  it("halves the list at each level in binary mode", () => {
+    const out = recursiveSplit(units(4), { ...geo, boards: 1 }, { mode: "binary" });
+    const areas = out.map(n => n.w * n.h);
+    for (const a of areas) expect(a).toBeCloseTo(areas[0], 0);
+  });
+});
+
+describe("seamContinuity", () => {
+  const seams = { boards: 4, BW: 1080, BH: 1320, spacing: 24 };
+  const wide = (n) => Array.from({ length: n }, (_, i) => ({ id: `w${i}`, kind: "image", x: 0, y: 0, w: 800, h: 533, _natW: 3000, _natH: 2000 }));
+
+  it("crosses every seam with at least minVisible on both boards, never overlapping", () => {
+    for (let seed = 1; seed <= 200; seed++) {
+      const out = seamContinuity(wide(3), seams, { perSeam: 1, minVisible: 160 }, createRng(seed));
+      out.forEach((n, i) => {
+        const crossed = seamsCrossed(n, seams);
+        expect(crossed.map(c => c.seam)).toEqual([i + 1]);
+        expect(Math.min(crossed[0].left, crossed[0].right)).toBeGreaterThanOrEqual(160 - EPS);
+      });
+      expectSpaced(out, seams.spacing);
+    }
+  });
+
+  it("keeps the free images clear of the seam images and each other", () => {
+    for (let seed = 1; seed <= 50; seed++) {
+      const out = seamContinuity([...wide(6), ...units(8)], seams, { perSeam: 2, minVisible: 160 }, createRng(seed));
+      expect(out).toHaveLength(14);
+      expect(out.slice(6).every(n => seamsCrossed(n, seams).length === 0)).toBe(true);
+      expectSpaced(out, seams.spacing);
+    }
+  });
+});
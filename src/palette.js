@@ -0,0 +1,223 @@
+import { createRng } from "./random.js";
+
+/* ------------------------------- palettes ------------------------------- */
+// Named palettes, [{ name, colours: ["#rrggbb", ...] }], belong to the user
+// rather than a project, so they live in localStorage. Applying one sets the
+// background, overlay colour A and overlay colour B from its first three
+// colours. They import and export as JSON or Adobe Swatch Exchange (.ase).
+export const PALETTES_KEY = "palettes858";
+const LEGACY_FAV_KEY = "favColours858";   // the old single favourites row
+const DEFAULT_FAVOURITES = ["#000000", "#0b0b0b", "#ffffff", "#00ff5c", "#00c0ff", "#ff00ff"];
+
+export function loadPalettes() {
+  try {
+    const list = cleanPalettes(JSON.parse(localStorage.getItem(PALETTES_KEY)));
+    if (list.length) return list;
+  } catch { /* fall through to the old favourites */ }
+  let fav = DEFAULT_FAVOURITES;
+  try { fav = JSON.parse(localStorage.getItem(LEGACY_FAV_KEY)) || fav; } catch { /* keep the defaults */ }
+  return cleanPalettes([{ name: "Favourites", colours: fav }]);
+}
+export const savePalettes = (list) => localStorage.setItem(PALETTES_KEY, JSON.stringify(list));
+
+/* ---------------- colour maths ---------------- */
+export const normalizeHex = (c) => {
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(c).trim());
+  if (!m) return null;
+  const h = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+  return `#${h.toLowerCase()}`;
+};
+export const hexToRgb = (hex) => { const v = parseInt(normalizeHex(hex).slice(1), 16); return [(v >> 16) & 255, (v >> 8) & 255, v & 255]; };
+export const rgbToHex = (rgb) => `#${rgb.map(c => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, "0")).join("")}`;
+
+function rgbToHsl([r, g, b]) {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b), l = (max + min) / 2, d = max - min;
+  if (!d) return [0, 0, l];
+  const s = d / (1 - Math.abs(2 * l - 1));
+  const h = max === r ? ((g - b) / d + 6) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return [h * 60, s, l];
+}
+function hslToRgb([h, s, l]) {
+  const c = (1 - Math.abs(2 * l - 1)) * s, x = c * (1 - Math.abs(((h / 60) % 2) - 1)), m = l - c / 2;
+  const [r, g, b] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x] : h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+  return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
+}
+// WCAG relative luminance and contrast ratio
+export function luminance(hex) {
+  const [r, g, b] = hexToRgb(hex).map(c => { c /= 255; return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4; });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+export const contrastRatio = (a, b) => { const [x, y] = [luminance(a), luminance(b)].sort((p, q) => q - p); return (x + 0.05) / (y + 0.05); };
+export const complement = (hex) => { const [h, s, l] = rgbToHsl(hexToRgb(hex)); return rgbToHex(hslToRgb([(h + 180) % 360, s, l])); };
+const saturation = (hex) => rgbToHsl(hexToRgb(hex))[1];
+
+/* ---------------- extraction ---------------- */
+const SAMPLE_MAX = 96;      // px on the long side per image
+const KMEANS_ROUNDS = 12;
+
+function samplePixels(bitmaps) {
+  const px = [];
+  for (const bmp of bitmaps) {
+    const k = Math.min(1, SAMPLE_MAX / Math.max(bmp.width, bmp.height));
+    const w = Math.max(1, Math.round(bmp.width * k)), h = Math.max(1, Math.round(bmp.height * k));
+    const canvas = typeof OffscreenCanvas !== "undefined" ? new OffscreenCanvas(w, h) : Object.assign(document.createElement("canvas"), { width: w, height: h });
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(bmp, 0, 0, w, h);
+    const d = ctx.getImageData(0, 0, w, h).data;
+    for (let i = 0; i < d.length; i += 4) if (d[i + 3] >= 128) px.push([d[i], d[i + 1], d[i + 2]]);
+  }
+  return px;
+}
+
+// k-means in RGB with k-means++ seeding from a fixed seed, so the same
+// photos always give the same palette. -> [{ hex, share }] most common first
+export function dominantColours(bitmaps, k = 6) {
+  const px = samplePixels(bitmaps);
+  if (!px.length) return [];
+  const rng = createRng(858);
+  const dist = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+  const centres = [px[Math.floor(rng() * px.length)]];
+  while (centres.length < Math.min(k, px.length)) {
+    const d = px.map(p => Math.min(...centres.map(c => dist(p, c))));
+    const total = d.reduce((s, v) => s + v, 0);
+    if (!total) break;
+    let at = rng() * total, i = 0;
+    while ((at -= d[i]) > 0 && i < px.length - 1) i++;
+    centres.push(px[i]);
+  }
+  let counts = [];
+  for (let round = 0; round < KMEANS_ROUNDS; round++) {
+    const sums = centres.map(() => [0, 0, 0]);
+    counts = centres.map(() => 0);
+    for (const p of px) {
+      let best = 0, bd = Infinity;
+      centres.forEach((c, j) => { const v = dist(p, c); if (v < bd) { bd = v; best = j; } });
+      sums[best][0] += p[0]; sums[best][1] += p[1]; sums[best][2] += p[2]; counts[best]++;
+    }
+    centres.forEach((c, j) => { if (counts[j]) centres[j] = sums[j].map(v => v / counts[j]); });
+  }
+  return centres.map((c, j) => ({ hex: rgbToHex(c), share: counts[j] / px.length }))
+    .filter(c => c.share > 0).sort((a, b) => b.share - a.share);
+}
+
+// dominant colours -> { dominant, complementary, suggested: [bg, A, B] }:
+// the background is the darkest colour with a real share of the photos, A the
+// most saturated one that stands off it (or the dominant hue's complement),
+// B the complement of A
+export function suggestPalette(dominant) {
+  const hexes = dominant.map(c => c.hex);
+  if (!hexes.length) return null;
+  const major = dominant.filter(c => c.share >= 0.05).map(c => c.hex);
+  const bg = (major.length ? major : hexes).reduce((a, b) => (luminance(b) < luminance(a) ? b : a));
+  const standOff = hexes.filter(c => c !== bg && contrastRatio(c, bg) >= 3).sort((a, b) => saturation(b) - saturation(a));
+  const a = standOff[0] || complement(hexes[0]);
+  return { dominant: hexes, complementary: hexes.map(complement), suggested: [bg, a, complement(a)] };
+}
+
+/* ---------------- files ---------------- */
+const FILE_APP = "858-palettes";
+
+// keep only well-formed palettes with valid colours
+export function cleanPalettes(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((p, i) => ({ name: String(p?.name || `Palette ${i + 1}`), colours: (p?.colours || []).map(normalizeHex).filter(Boolean) }))
+    .filter(p => p.colours.length);
+}
+export const palettesToJSON = (list) => JSON.stringify({ app: FILE_APP, version: 1, palettes: list }, null, 2);
+// accepts our file, a bare list of palettes, or one { name, colours }
+export function palettesFromJSON(text) {
+  const data = JSON.parse(text);
+  const list = cleanPalettes(Array.isArray(data) ? data : data?.palettes || [data]);
+  if (!list.length) throw new Error("No palettes in this file");
+  return list;
+}
+
+// Adobe Swatch Exchange: "ASEF", version 1.0, then blocks (group start
+// 0xC001, colour 0x0001, group end 0xC002), all big-endian. One group per palette.
+const ASE_GROUP = 0xc001, ASE_COLOUR = 0x0001, ASE_END = 0xc002;
+export function palettesToASE(list) {
+  const blocks = [];
+  const name = (s) => {
+    const b = new DataView(new ArrayBuffer(2 + (s.length + 1) * 2));
+    b.setUint16(0, s.length + 1);
+    for (let i = 0; i < s.length; i++) b.setUint16(2 + i * 2, s.charCodeAt(i));
+    return new Uint8Array(b.buffer);
+  };
+  const block = (type, ...parts) => {
+    const len = parts.reduce((s, p) => s + p.length, 0);
+    const head = new DataView(new ArrayBuffer(6));
+    head.setUint16(0, type); head.setUint32(2, len);
+    blocks.push(new Uint8Array(head.buffer), ...parts);
+  };
+  let count = 0;
+  for (const p of list) {
+    block(ASE_GROUP, name(p.name)); count++;
+    for (const c of p.colours) {
+      const v = new DataView(new ArrayBuffer(4 + 12 + 2));
+      [..."RGB "].forEach((ch, i) => v.setUint8(i, ch.charCodeAt(0)));
+      hexToRgb(c).forEach((x, i) => v.setFloat32(4 + i * 4, x / 255));
+      v.setUint16(16, 2);   // normal (not global or spot)
+      block(ASE_COLOUR, name(c), new Uint8Array(v.buffer)); count++;
+    }
+    block(ASE_END); count++;
+  }
+  const head = new DataView(new ArrayBuffer(12));
+  [..."ASEF"].forEach((ch, i) => head.setUint8(i, ch.charCodeAt(0)));
+  head.setUint16(4, 1); head.setUint16(6, 0); head.setUint32(8, count);
+  return new Blob([new Uint8Array(head.buffer), ...blocks], { type: "application/octet-stream" });
+}
+
+// RGB, grey, CMYK (naive) and Lab (D50) swatches; ungrouped ones collect in the file's name
+export function palettesFromASE(buffer, fallbackName = "Imported") {
+  const v = new DataView(buffer);
+  const tag = (at) => String.fromCharCode(v.getUint8(at), v.getUint8(at + 1), v.getUint8(at + 2), v.getUint8(at + 3));
+  if (buffer.byteLength < 12 || tag(0) !== "ASEF") throw new Error("Not an ASE swatch file");
+  const count = v.getUint32(8);
+  const list = [];
+  let loose = null, group = null, at = 12;
+  const readName = (p) => {
+    const n = v.getUint16(p);
+    let s = "";
+    for (let i = 0; i < n - 1; i++) s += String.fromCharCode(v.getUint16(p + 2 + i * 2));
+    return [s, p + 2 + n * 2];
+  };
+  for (let i = 0; i < count && at + 6 <= buffer.byteLength; i++) {
+    const type = v.getUint16(at), len = v.getUint32(at + 2), body = at + 6;
+    if (type === ASE_GROUP) {
+      group = { name: readName(body)[0] || fallbackName, colours: [] };
+      list.push(group);
+    } else if (type === ASE_END) {
+      group = null;
+    } else if (type === ASE_COLOUR) {
+      const [, p] = readName(body);
+      const model = tag(p), f = (k) => v.getFloat32(p + 4 + k * 4);
+      let rgb = null;
+      if (model === "RGB ") rgb = [f(0), f(1), f(2)].map(x => x * 255);
+      else if (model === "Gray") rgb = [f(0) * 255, f(0) * 255, f(0) * 255];
+      else if (model === "CMYK") rgb = [0, 1, 2].map(k => 255 * (1 - f(k)) * (1 - f(3)));
+      else if (model === "LAB ") rgb = labToRgb(f(0) * 100, f(1), f(2));
+      if (rgb) {
+        if (!group && !loose) { loose = { name: fallbackName, colours: [] }; list.push(loose); }
+        (group || loose).colours.push(rgbToHex(rgb));
+      }
+    }
+    at = body + len;
+  }
+  const clean = cleanPalettes(list);
+  if (!clean.length) throw new Error("No colours in this swatch file");
+  return clean;
+}
+function labToRgb(L, a, b) {
+  const fy = (L + 16) / 116, fx = fy + a / 500, fz = fy - b / 200;
+  const inv = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+  // D50 white, Bradford-adapted to sRGB's D65
+  const X = 0.9642 * inv(fx), Y = inv(fy), Z = 0.8249 * inv(fz);
+  const lin = [
+    3.1339 * X - 1.6169 * Y - 0.4906 * Z,
+    -0.9788 * X + 1.9161 * Y + 0.0335 * Z,
+    0.0719 * X - 0.2290 * Y + 1.4052 * Z,
+  ];
+  return lin.map(c => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.max(0, c) ** (1 / 2.4) - 0.055));
+}
@@ -0,0 +1,162 @@
+import { frameBounds, insideFrame, rotateVec } from "./frame.js";
+
+/* --------------------------- overlay patterns --------------------------- */
+// Where overlay shapes go. Pure like layouts.js: a distribution returns up to
+// `count` centre points for one board, { x, y, angle, beat }, in spread units.
+// angle turns the shape (edge-hugging lines follow the border) and beat
+// counts the repeat for rhythmic sizes. The caller picks a shape per point
+// and drops any whose box still breaks the image constraint.
+export const DISTRIBUTIONS = {
+  random: "Random", poisson: "Poisson disk", grid: "Grid", rhythm: "Rhythm", edges: "Image edges",
+};
+export const CONSTRAINTS = { any: "Anywhere", avoid: "Avoid images", only: "Only on images" };
+
+const boardBox = (b, { BW, BH }) => ({ x: b * BW, y: 0, w: BW, h: BH });
+const MAX_TRIES = 30;
+
+// constraint -> { point(x, y), box({x,y,w,h}) } tests against the image frames
+// ("edges" ignores it, see edgePoints)
+export function imageConstraint(constraint, images) {
+  if (constraint === "avoid") {
+    const bounds = images.map(frameBounds);
+    return {
+      point: (x, y) => !images.some(n => insideFrame(n, x, y)),
+      box: (s) => !bounds.some(b => s.x < b.x + b.w && b.x < s.x + s.w && s.y < b.y + b.h && b.y < s.y + s.h),
+    };
+  }
+  if (constraint === "only") {
+    const point = (x, y) => images.some(n => insideFrame(n, x, y));
+    return { point, box: (s) => point(s.x + s.w / 2, s.y + s.h / 2) };
+  }
+  return { point: () => true, box: () => true };
+}
+
+function randomPoints(box, count, rng, ok) {
+  const out = [];
+  for (let tries = 0; out.length < count && tries < count * MAX_TRIES; tries++) {
+    const x = box.x + rng() * box.w, y = box.y + rng() * box.h;
+    if (ok(x, y)) out.push({ x, y, angle: 0, beat: out.length });
+  }
+  return out;
+}
+
+// Bridson's algorithm. The spacing comes from the share of the board the
+// constraint leaves open, so about `count` points fit.
+function poissonPoints(box, count, rng, ok) {
+  let open = 0;
+  for (let i = 0; i < 200; i++) if (ok(box.x + rng() * box.w, box.y + rng() * box.h)) open++;
+  if (!open || !count) return [];
+  const r = Math.sqrt((box.w * box.h * (open / 200)) / count) * 0.75;
+  const cell = r / Math.SQRT2, cols = Math.ceil(box.w / cell), rows = Math.ceil(box.h / cell);
+  const grid = new Array(cols * rows).fill(-1);
+  const pts = [], active = [];
+  const slot = (p) => Math.floor((p.y - box.y) / cell) * cols + Math.floor((p.x - box.x) / cell);
+  const far = (p) => {
+    const gx = Math.floor((p.x - box.x) / cell), gy = Math.floor((p.y - box.y) / cell);
+    for (let y = Math.max(0, gy - 2); y <= Math.min(rows - 1, gy + 2); y++) {
+      for (let x = Math.max(0, gx - 2); x <= Math.min(cols - 1, gx + 2); x++) {
+        const i = grid[y * cols + x];
+        if (i >= 0 && Math.hypot(pts[i].x - p.x, pts[i].y - p.y) < r) return false;
+      }
+    }
+    return true;
+  };
+  const add = (p) => { grid[slot(p)] = pts.length; active.push(pts.length); pts.push(p); };
+  // seed anywhere the constraint allows
+  const seed = randomPoints(box, 1, rng, ok)[0];
+  if (!seed) return [];
+  add(seed);
+  while (active.length) {
+    const k = Math.floor(rng() * active.length), c = pts[active[k]];
+    let found = false;
+    for (let t = 0; t < MAX_TRIES && !found; t++) {
+      const a = rng() * Math.PI * 2, d = r * (1 + rng());
+      const p = { x: c.x + Math.cos(a) * d, y: c.y + Math.sin(a) * d };
+      if (p.x < box.x || p.x >= box.x + box.w || p.y < box.y || p.y >= box.y + box.h) continue;
+      // closed-off points still block space, so spacing holds across holes in the constraint
+      if (far(p)) { add(p); found = true; }
+    }
+    if (!found) active.splice(k, 1);
+  }
+  const kept = pts.filter(p => ok(p.x, p.y));
+  // keep a random subset when the board holds more than asked for
+  for (let i = kept.length - 1; i > 0; i--) { const j = Math.floor(rng() * (i + 1)); [kept[i], kept[j]] = [kept[j], kept[i]]; }
+  return kept.slice(0, count).map((p, beat) => ({ ...p, angle: 0, beat }));
+}
+
+// cell centres of the grid closest to square cells holding `count`
+function gridPoints(box, count, ok) {
+  if (!count) return [];
+  const cols = Math.max(1, Math.round(Math.sqrt((count * box.w) / box.h))), rows = Math.ceil(count / cols);
+  const out = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols && out.length < count; c++) {
+      const x = box.x + ((c + 0.5) * box.w) / cols, y = box.y + ((r + 0.5) * box.h) / rows;
+      if (ok(x, y)) out.push({ x, y, angle: 0, beat: r * cols + c });
+    }
+  }
+  return out;
+}
+
+// Bands of evenly spaced repeats, every other band shifted half a step (a
+// running bond); beat counts along the band so sizes can alternate.
+function rhythmPoints(box, count, rng, ok) {
+  if (!count) return [];
+  const bands = Math.max(1, Math.round(Math.sqrt(count / 4)));
+  const perBand = Math.ceil(count / bands), step = box.w / perBand;
+  const phase = rng() * step;
+  const out = [];
+  for (let b = 0; b < bands; b++) {
+    const y = box.y + ((b + 0.5) * box.h) / bands;
+    for (let i = 0; i < perBand; i++) {
+      const x = box.x + ((phase + i * step + (b % 2 ? step / 2 : 0)) % box.w);
+      if (ok(x, y)) out.push({ x, y, angle: 0, beat: i });
+    }
+  }
+  return out;
+}
+
+// Points on the borders of the images reaching this board, turned to run
+// along each edge; longer borders get more. They sit on the images by
+// definition, so the image constraint doesn't apply.
+function edgePoints(box, count, rng, ok, images) {
+  const edges = [];
+  for (const n of images) {
+    const cx = n.x + n.w / 2, cy = n.y + n.h / 2, rot = n.rotation || 0;
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+      const p = rotateVec((sx * n.w) / 2, (sy * n.h) / 2, rot);
+      return { x: cx + p.x, y: cy + p.y };
+    });
+    corners.forEach((a, i) => {
+      const b = corners[(i + 1) % 4];
+      edges.push({ a, b, len: Math.hypot(b.x - a.x, b.y - a.y), angle: rot + (i % 2 ? 90 : 0) });
+    });
+  }
+  const total = edges.reduce((s, e) => s + e.len, 0);
+  if (!total) return randomPoints(box, count, rng, ok);
+  const out = [];
+  for (let tries = 0; out.length < count && tries < count * MAX_TRIES; tries++) {
+    let at = rng() * total, e = edges[0];
+    for (const edge of edges) { e = edge; if ((at -= edge.len) <= 0) break; }
+    const t = rng();
+    const x = e.a.x + (e.b.x - e.a.x) * t, y = e.a.y + (e.b.y - e.a.y) * t;
+    if (x >= box.x && x < box.x + box.w && y >= box.y && y < box.y + box.h) {
+      out.push({ x, y, angle: e.angle, beat: out.length });
+    }
+  }
+  return out;
+}
+
+// params: { distribution, count, constraint }; images: frames to respect
+export function overlayPoints(board, geo, { distribution = "random", count = 18, constraint = "any" } = {}, rng, images = []) {
+  const box = boardBox(board, geo);
+  const ok = imageConstraint(constraint, images).point;
+  if (distribution === "poisson") return poissonPoints(box, count, rng, ok);
+  if (distribution === "grid") return gridPoints(box, count, ok);
+  if (distribution === "rhythm") return rhythmPoints(box, count, rng, ok);
+  if (distribution === "edges") {
+    const near = images.filter(n => { const b = frameBounds(n); return b.x < box.x + box.w && box.x < b.x + b.w; });
+    return edgePoints(box, count, rng, ok, near);
+  }
+  return randomPoints(box, count, rng, ok);
+}
@@ -0,0 +1,56 @@
+/* ------------------------------ PDF deck ------------------------------ */
+// Minimal PDF 1.4 writer: one page per board, each page a single JPEG
+// (DCTDecode) XObject stretched over the page. Page size is the board size in
+// points, so the PDF opens at the spread's proportions whatever the export
+// scale; the embedded raster keeps the full exportScale resolution.
+// Images are /DeviceRGB without an ICC profile, so pages must be rendered in
+// sRGB whatever the export colour space.
+const enc = new TextEncoder();
+
+// pages: [{ jpeg: Uint8Array, width, height (raster px), pageW, pageH (pt) }]
+export function buildPdf(pages, { title = "" } = {}) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (part) => {
+    const bytes = typeof part === "string" ? enc.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, ...parts) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    parts.forEach(write);
+    write("\nendobj\n");
+  };
+
+  // 1 catalog, 2 page tree, 3 info, then 3 objects per page: page, contents, image
+  const pageId = (i) => 4 + i * 3;
+  const total = 4 + pages.length * 3;
+
+  write("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(2, `<< /Type /Pages /Count ${pages.length} /Kids [${pages.map((_, i) => `${pageId(i)} 0 R`).join(" ")}] >>`);
+  object(3, `<< /Title ${pdfString(title)} /Producer (858 random spread) /CreationDate ${pdfString(pdfDate(new Date()))} >>`);
+  pages.forEach((p, i) => {
+    const id = pageId(i);
+    const draw = `q ${num(p.pageW)} 0 0 ${num(p.pageH)} 0 0 cm /Im0 Do Q`;
+    object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(p.pageW)} ${num(p.pageH)}] `
+      + `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`);
+    object(id + 1, `<< /Length ${draw.length} >>\nstream\n${draw}\nendstream`);
+    object(id + 2, `<< /Type /XObject /Subtype /Image /Width ${p.width} /Height ${p.height} `
+      + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${p.jpeg.length} >>\nstream\n`,
+      p.jpeg, "\nendstream");
+  });
+
+  const xref = length;
+  write(`xref\n0 ${total}\n0000000000 65535 f \n`);
+  for (let id = 1; id < total; id++) write(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  write(`trailer\n<< /Size ${total} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return new Blob(chunks, { type: "application/pdf" });
+}
+
+const num = (v) => String(Math.round(v * 100) / 100);
+// literal string, non-ASCII dropped (titles are project names)
+const pdfString = (s) => `(${String(s).replace(/[^\x20-\x7e]/g, "").replace(/[\\()]/g, "\\$&")})`;
+const pdfDate = (d) => `D:${d.toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z`;
@@ -0,0 +1,138 @@
+import JSZip from "jszip";
+import { idbGet, idbSet } from "./idb.js";
+import { shapeFromV1 } from "./shapes.js";
+import { putAsset, getAsset } from "./assets.js";
+
+/* ------------------------- project (.858) files ------------------------- */
+// A .858 file is a zip: project.json (versioned manifest) + images/<hash>.<ext>
+// holding each original image once, fonts/<n>.<ext> for uploaded fonts.
+// Bump PROJECT_VERSION whenever the manifest shape changes and add a step to
+// MIGRATIONS.
+export const PROJECT_VERSION = 3;
+export const PROJECT_EXT = ".858";
+const APP_ID = "858-random-spread-layout";
+const MANIFEST = "project.json";
+const AUTOSAVE_KEY = "autosave";
+
+const MIME_EXT = {
+  "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif", "image/avif": "avif", "image/svg+xml": "svg",
+  "font/ttf": "ttf", "font/otf": "otf", "font/woff": "woff", "font/woff2": "woff2",
+};
+const EXT_MIME = Object.fromEntries(Object.entries(MIME_EXT).map(([m, e]) => [e, m]));
+
+// MIGRATIONS[n] upgrades a manifest from version n to n+1
+const MIGRATIONS = {
+  // v2: images and overlay shapes share one stack (`elements`); shapes become
+  // boxes with their own colour, and overlayOnTop turns into stack order
+  1: (m) => {
+    const { images = [], overlayShapes = [], overlayOnTop = true, ...rest } = m.doc;
+    const imgs = images.map(n => ({ kind: "image", ...n }));
+    const shapes = overlayShapes.map(s => shapeFromV1(s, rest.overlayColourA, rest.overlayColourB));
+    return { ...m, version: 2, doc: { ...rest, elements: overlayOnTop ? [...imgs, ...shapes] : [...shapes, ...imgs] } };
+  },
+  // v3: images point at a shared asset (`asset`) instead of owning their bytes.
+  // doc.assets lists where each one's bytes are: a zip `file`, or an inline
+  // `src` data URL (old autosaves); importAssets() swaps ids for content hashes.
+  2: (m) => {
+    const assets = [];
+    const elements = m.doc.elements.map(n => {
+      if (n.kind !== "image") return n;
+      const { file, src, ...rest } = n;
+      const id = file || n.id;
+      assets.push(file ? { id, file } : { id, src });
+      return { ...rest, asset: id };
+    });
+    return { ...m, version: 3, doc: { ...m.doc, elements, assets } };
+  },
+};
+
+export function migrate(manifest) {
+  if (manifest?.app !== APP_ID) throw new Error("Not an 858 project file");
+  let m = manifest;
+  if (m.version > PROJECT_VERSION) throw new Error(`Project version ${m.version} is newer than this app (${PROJECT_VERSION})`);
+  while (m.version < PROJECT_VERSION) {
+    const step = MIGRATIONS[m.version];
+    if (!step) throw new Error(`No migration from project version ${m.version}`);
+    m = step(m);
+  }
+  return m;
+}
+
+const dataUrlMime = (url) => /^data:([^;,]+)/.exec(url)?.[1] || "application/octet-stream";
+const blobToDataURL = (blob) => new Promise((res, rej) => {
+  const r = new FileReader(); r.onload = () => res(r.result); r.onerror = rej; r.readAsDataURL(blob);
+});
+
+async function zipBlob(zip, path) {
+  const bin = zip.file(path);
+  if (!bin) throw new Error(`Missing ${path}`);
+  return new Blob([await bin.async("arraybuffer")], { type: EXT_MIME[path.split(".").pop()] || "application/octet-stream" });
+}
+// data-URL `src` <-> zip entry `file`
+async function packFile(zip, dir, name, { src, ...rest }) {
+  const file = `${dir}/${name}.${MIME_EXT[dataUrlMime(src)] || "bin"}`;
+  zip.file(file, await (await fetch(src)).blob(), { compression: "STORE" });
+  return { ...rest, file };
+}
+async function unpackFile(zip, { file: path, ...rest }) {
+  return { ...rest, src: await blobToDataURL(await zipBlob(zip, path)) };
+}
+
+// every asset hash a doc refers to: image elements and the background image
+const usedAssets = (doc) => new Set([
+  ...doc.elements.filter(n => n.kind === "image" && n.asset).map(n => n.asset),   // template slots have none
+  ...(doc.background?.image ? [doc.background.image.asset] : []),
+]);
+
+// Put every listed asset into the store and point elements (and the
+// background) at its content hash; missing original sizes come from the asset.
+async function importAssets(doc, readBlob) {
+  const { assets = [], ...rest } = doc;
+  const byId = new Map();
+  for (const a of assets) byId.set(a.id, await putAsset(await readBlob(a), a.name));
+  const relink = (n) => {
+    const a = byId.get(n.asset);
+    return a ? { ...n, asset: a.hash, _natW: n._natW || a.w, _natH: n._natH || a.h } : n;
+  };
+  const elements = rest.elements.map(n => (n.kind === "image" ? relink(n) : n));
+  const background = rest.background?.image ? { ...rest.background, image: relink(rest.background.image) } : rest.background;
+  return { ...rest, elements, background };
+}
+const dataUrlBlob = async (src) => (await fetch(src)).blob();
+
+/* doc -> .858 blob */
+export async function saveProject(doc) {
+  const zip = new JSZip();
+  const assets = [];
+  for (const hash of usedAssets(doc)) {
+    const { blob, type, name } = await getAsset(hash);
+    const file = `images/${hash}.${MIME_EXT[type] || "bin"}`;
+    zip.file(file, blob, { compression: "STORE" });
+    assets.push({ id: hash, file, name });
+  }
+  const fonts = [];
+  for (const [i, f] of (doc.fonts || []).entries()) fonts.push(await packFile(zip, "fonts", i, f));
+  const manifest = { app: APP_ID, version: PROJECT_VERSION, savedAt: new Date().toISOString(), doc: { ...doc, assets, fonts } };
+  zip.file(MANIFEST, JSON.stringify(manifest, null, 2));
+  return zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+}
+
+/* .858 blob -> doc */
+export async function openProject(file) {
+  const zip = await JSZip.loadAsync(file);
+  const entry = zip.file(MANIFEST);
+  if (!entry) throw new Error("Missing project.json");
+  const { doc } = migrate(JSON.parse(await entry.async("string")));
+  const fonts = [];
+  for (const f of doc.fonts || []) fonts.push(await unpackFile(zip, f));
+  return importAssets({ ...doc, fonts }, (a) => zipBlob(zip, a.file));
+}
+
+/* browser autosave (IndexedDB; images already live in the asset store) */
+export const autosaveProject = (doc) =>
+  idbSet(AUTOSAVE_KEY, { app: APP_ID, version: PROJECT_VERSION, savedAt: new Date().toISOString(), doc });
+
+export async function loadAutosave() {
+  const saved = await idbGet(AUTOSAVE_KEY);
+  return saved ? importAssets(migrate(saved).doc, (a) => dataUrlBlob(a.src)) : null;
+}
@@ -0,0 +1,122 @@
+import { frameBounds } from "./frame.js";
+
+/* ---------------------------- quality checks ---------------------------- */
+// What would look wrong in the export, worked out live from the elements.
+// Each issue: { kind, level: "warn" | "error", ids, box, board?, message },
+// box in spread units (what to outline on the canvas), ids the elements
+// involved (none for board issues). Hidden elements are left out, as the
+// export leaves them out.
+//   upscale   the export asks for more pixels than the cropped photo has:
+//             output px (frame width × scale) per source px from the crop
+//   offboard  an image or text box entirely off every board
+//   overlap   two frames overlapping, or closer than `spacing` without
+//             touching, unless it's on purpose: frames in one group, or a
+//             pair a layout overlapped by design (see markOverlaps)
+//   sliver    an image crossing a seam with only a thin strip on one side
+//   empty     a board with no image or text on it
+//   slot      a template slot still waiting for a photo
+export const CHECKS = {
+  upscale: "Upscaled", offboard: "Off the boards", overlap: "Overlap",
+  sliver: "Seam sliver", empty: "Empty board", slot: "Empty slot",
+};
+const UPSCALE_WARN = 1.05;   // a few percent isn't visible
+const UPSCALE_ERROR = 2;
+const SLIVER_SHARE = 0.04;   // of the board width...
+const SLIVER_MIN = 16;       // ...but never less than this
+
+const intersects = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+// how far two boxes overlap, the lesser of the two axes (<= 0 when apart)
+const overlapDepth = (p, q) => Math.min(
+  Math.min(p.x + p.w, q.x + q.w) - Math.max(p.x, q.x),
+  Math.min(p.y + p.h, q.y + q.h) - Math.max(p.y, q.y));
+const OVERLAP_MIN = 1;       // touching frames aren't overlapping
+// the gap between two boxes, the wider of the two axes (< 0 when they overlap)
+const gapBetween = (p, q) => Math.max(q.x - (p.x + p.w), p.x - (q.x + q.w), q.y - (p.y + p.h), p.y - (q.y + q.h));
+
+// A layout that overlaps frames by design marks them: each frame it left
+// overlapping another carries `overlapOk: { ids, box }`, the frames it may
+// overlap and the box it was given. A mark only holds while its frame is
+// still in that box, so moving or resizing the frame afterwards voids it
+// (and undoing the move brings it back). Only frames with ids in `among`
+// are marked.
+const boxOf = ({ x, y, w, h, rotation = 0 }) => ({ x, y, w, h, rotation });
+const inBox = (n) => Object.entries(n.overlapOk.box).every(([k, v]) => boxOf(n)[k] === v);
+export function markOverlaps(elements, among) {
+  const frames = elements.filter(n => n.kind === "image" && !n.hidden && among.has(n.id)), bounds = frames.map(frameBounds);
+  const marks = new Map(frames.map(n => [n.id, []]));
+  for (let i = 0; i < frames.length; i++) {
+    for (let j = i + 1; j < frames.length; j++) {
+      if (overlapDepth(bounds[i], bounds[j]) <= OVERLAP_MIN) continue;
+      marks.get(frames[i].id).push(frames[j].id);
+      marks.get(frames[j].id).push(frames[i].id);
+    }
+  }
+  return elements.map(n => (marks.get(n.id)?.length ? { ...n, overlapOk: { ids: marks.get(n.id), box: boxOf(n) } } : n));
+}
+const meant = (a, b) => [[a, b], [b, a]].every(([p, q]) => p.overlapOk?.ids.includes(q.id) && inBox(p));
+
+const union = (a, b) => {
+  const x = Math.min(a.x, b.x), y = Math.min(a.y, b.y);
+  return { x, y, w: Math.max(a.x + a.w, b.x + b.w) - x, h: Math.max(a.y + a.h, b.y + b.h) - y };
+};
+
+// srcOf(n) -> the photo rectangle the frame shows ({ sw, sh } in photo px)
+export function checkSpread(elements, { boards, BW, BH, spacing }, { scale, srcOf }) {
+  const issues = [];
+  const shown = elements.filter(n => !n.hidden);
+  const frames = shown.filter(n => n.kind === "image");
+  const spread = { x: 0, y: 0, w: boards * BW, h: BH };
+
+  for (const n of frames) {
+    const box = frameBounds(n);
+    if (!n.asset) {
+      issues.push({ kind: "slot", level: "warn", ids: [n.id], box, message: "no photo yet, exports empty" });
+    } else if (n._natW && n._natH) {
+      const src = srcOf(n);
+      const out = n.w * scale, f = out / src.sw;
+      if (f > UPSCALE_WARN) {
+        issues.push({ kind: "upscale", level: f > UPSCALE_ERROR ? "error" : "warn", ids: [n.id], box,
+                      message: `${Math.round(src.sw)}px of photo stretched to ${Math.round(out)}px (${f.toFixed(1)}×)` });
+      }
+    }
+    // seams: a thin strip on either side of a cut
+    const sliver = Math.max(SLIVER_MIN, BW * SLIVER_SHARE);
+    for (let s = 1; s < boards; s++) {
+      const left = s * BW - box.x, right = box.x + box.w - s * BW;
+      if (left <= 0 || right <= 0 || Math.min(left, right) >= sliver) continue;
+      const side = left < right ? s : s + 1;
+      issues.push({ kind: "sliver", level: "warn", ids: [n.id], box,
+                    message: `only ${Math.round(Math.min(left, right))}px on slide ${side}` });
+    }
+  }
+
+  for (const n of shown) {
+    if (n.kind === "shape") continue;
+    const box = frameBounds(n);
+    if (!intersects(box, spread)) issues.push({ kind: "offboard", level: "warn", ids: [n.id], box, message: "outside every board" });
+  }
+
+  for (let i = 0; i < frames.length; i++) {
+    for (let j = i + 1; j < frames.length; j++) {
+      const a = frames[i], b = frames[j];
+      if ((a.groupId && a.groupId === b.groupId) || meant(a, b)) continue;
+      const p = frameBounds(a), q = frameBounds(b);
+      const depth = overlapDepth(p, q);
+      if (depth > OVERLAP_MIN) {
+        issues.push({ kind: "overlap", level: "warn", ids: [a.id, b.id], box: union(p, q), message: `overlap by ${Math.round(depth)}px` });
+        continue;
+      }
+      const gap = gapBetween(p, q);
+      if (gap > 0.5 && gap < spacing - 0.5) {
+        issues.push({ kind: "overlap", level: "warn", ids: [a.id, b.id], box: union(p, q), message: `only ${Math.round(gap)}px apart (spacing ${spacing})` });
+      }
+    }
+  }
+
+  for (let b = 0; b < boards; b++) {
+    const box = { x: b * BW, y: 0, w: BW, h: BH };
+    const used = shown.some(n => n.kind !== "shape" && (n.kind !== "image" || n.asset) && intersects(frameBounds(n), box));
+    if (!used) issues.push({ kind: "empty", level: "warn", ids: [], box, board: b, message: `slide ${b + 1} has nothing on it` });
+  }
+  return issues;
+}
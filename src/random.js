@@ -0,0 +1,30 @@
+/* --------------------------- seeded random --------------------------- */
+// Every generator takes an rng() -> [0,1) built from a 32-bit seed so a
+// layout or overlay can be reproduced exactly from its seed.
+export const SEED_MAX = 0xffffffff;
+
+// mulberry32
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export const randomSeed = () => Math.floor(Math.random() * SEED_MAX) >>> 0;
+export const stepSeed = (seed, d) => (seed + d) >>> 0;
+
+export const randInt = (rng, n) => Math.floor(rng() * n);
+export const pick = (rng, arr) => arr[randInt(rng, arr.length)];
+export const shuffle = (arr, rng) => {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = randInt(rng, i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
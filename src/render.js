@@ -0,0 +1,127 @@
+import { drawShape } from "./shapes.js";
+import { drawText, fontString } from "./text.js";
+import { paintBackground } from "./background.js";
+import { isAdjusted, compositeOp, adjustedImage } from "./adjust.js";
+import { maskShape, traceMask, rgba, rotateVec } from "./frame.js";
+
+/* ----------------------------- board painter ----------------------------- */
+// Everything here takes plain data so the same code paints in the export
+// worker and, where OffscreenCanvas is missing, on the main thread.
+//
+// A render is one output image holding one or more board slices side by side
+// (a single board for PNG/JPG/PDF, every board for the stitched spread):
+//   { width, height, scale, type, quality, maxBytes, colorSpace, slices: [{ board, px, w, ops }] }
+// ops come from buildOps() in stack order:
+//   { shape } | { text, layout } | { img: asset hash, src: {sx,sy,sw,sh}, frame, adjust? }
+// where frame is the whole image box in spread units, with its rotation, mask,
+// stroke and shadow (frame.js); boards it crosses each paint it whole and
+// the slice clip does the split.
+// job holds what every slice shares:
+//   { BW, W, H (spread size), bgColour, background, overlayOpacity }
+
+export const abortError = () => new DOMException("Export cancelled", "AbortError");
+
+// assets any render needs, so each original is fetched and decoded once per export
+export const imageIds = (renders) =>
+  new Set(renders.flatMap(r => r.slices.flatMap(s => s.ops.filter(op => op.img).map(op => op.img))));
+export const hasText = (renders) => renders.some(r => r.slices.some(s => s.ops.some(op => op.text)));
+
+// decode-once ImageBitmaps, created on first use and shared by every board
+export function bitmapCache(sources) {
+  const decoded = new Map();
+  return {
+    get(id) {
+      if (!decoded.has(id)) decoded.set(id, createImageBitmap(sources.get(id)));
+      return decoded.get(id);
+    },
+    async close() {
+      for (const p of decoded.values()) (await p.catch(() => null))?.close();
+      decoded.clear();
+    },
+  };
+}
+
+// Highest quality (to 1%) whose encoding fits r.maxBytes. Lossless PNG and
+// maxBytes = 0 encode once at the set quality. encode(type, quality) -> Blob.
+const MIN_QUALITY = 0.05;
+export async function encodeRender(encode, r) {
+  const blob = await encode(r.type, r.quality);
+  // toBlob quietly falls back to PNG for types the browser can't write (WebP on Safari)
+  if (blob.type && blob.type !== r.type) throw new Error(`This browser cannot encode ${r.type}`);
+  if (!r.maxBytes || r.type === "image/png" || blob.size <= r.maxBytes) return blob;
+  let lo = MIN_QUALITY, hi = r.quality, best = null;
+  while (hi - lo > 0.01) {
+    const q = (lo + hi) / 2;
+    const b = await encode(r.type, q);
+    if (b.size <= r.maxBytes) { best = b; lo = q; } else hi = q;
+  }
+  return best || encode(r.type, MIN_QUALITY);
+}
+
+export async function paintRender(ctx, render, job, bitmaps, { onProgress, signal, loadFont } = {}) {
+  const { scale } = render;
+  for (const slice of render.slices) {
+    const offsetX = slice.board * job.BW;
+    ctx.save();
+    ctx.translate(slice.px, 0);
+    ctx.beginPath(); ctx.rect(0, 0, slice.w, render.height); ctx.clip();
+    const bgAsset = job.background.image?.asset;
+    paintBackground(ctx, job.background, job.bgColour || "#000", {
+      board: slice.board, BW: job.BW, W: job.W, H: job.H, scale, bitmap: bgAsset ? await bitmaps.get(bgAsset) : null,
+    });
+    for (const [k, op] of slice.ops.entries()) {
+      if (signal?.aborted) throw abortError();
+      if (op.shape) drawShape(ctx, op.shape, offsetX, scale, job.overlayOpacity);
+      else if (op.text) {
+        await loadFont?.(fontString(op.text));
+        drawText(ctx, op.text, offsetX, scale, op.layout);
+      } else {
+        drawImageOp(ctx, op, await bitmaps.get(op.img), offsetX, scale);
+      }
+      onProgress?.(slice.board, (k + 1) / slice.ops.length);
+    }
+    if (!slice.ops.length) onProgress?.(slice.board, 1);
+    ctx.restore();
+  }
+}
+
+const OUTSIDE = 1e5;   // "everywhere" for the shadow's evenodd clip
+// one image frame, in canvas pixels: shadow, masked (and graded) image, stroke
+function drawImageOp(ctx, op, bmp, offsetX, scale) {
+  const f = op.frame;
+  const x = Math.round((f.x - offsetX) * scale), y = Math.round(f.y * scale);
+  const w = Math.round(f.w * scale), h = Math.round(f.h * scale);
+  const path = traceMask(new Path2D(), maskShape({ w, h, mask: f.mask, radius: (f.radius || 0) * scale }));
+  ctx.save();
+  ctx.globalCompositeOperation = compositeOp(op.adjust);
+  ctx.translate(x + w / 2, y + h / 2);
+  if (f.rotation) ctx.rotate((f.rotation * Math.PI) / 180);
+  ctx.translate(-w / 2, -h / 2);
+  if (f.shadow) {
+    // box-shadow: fill the mask with its shadow on, clipped to outside the mask
+    const s = f.shadow, off = rotateVec(s.x * scale, s.y * scale, f.rotation || 0);
+    const outside = new Path2D();
+    outside.rect(-OUTSIDE, -OUTSIDE, OUTSIDE * 2, OUTSIDE * 2);
+    outside.addPath(path);
+    ctx.save();
+    ctx.clip(outside, "evenodd");
+    ctx.shadowColor = rgba(s.colour, s.opacity);
+    ctx.shadowBlur = s.blur * scale;     // canvas and CSS blur radii agree (sigma = blur / 2)
+    ctx.shadowOffsetX = off.x; ctx.shadowOffsetY = off.y;   // shadow offsets ignore the transform
+    ctx.fillStyle = "#000";
+    ctx.fill(path);
+    ctx.restore();
+  }
+  ctx.save();
+  ctx.clip(path);
+  if (isAdjusted(op.adjust)) ctx.drawImage(adjustedImage(bmp, op.src, w, h, op.adjust), 0, 0);
+  else ctx.drawImage(bmp, op.src.sx, op.src.sy, op.src.sw, op.src.sh, 0, 0, w, h);
+  if (f.stroke?.width > 0) {
+    // centred on the edge at double width, so the clip leaves it all inside like a CSS border
+    ctx.lineWidth = f.stroke.width * scale * 2;
+    ctx.strokeStyle = f.stroke.colour;
+    ctx.stroke(path);
+  }
+  ctx.restore();
+  ctx.restore();
+}
@@ -0,0 +1,87 @@
+/* ------------------------ selection & groups ------------------------ */
+// Images that share a `groupId` behave as one unit: selecting one selects the
+// whole group and layouts move the group as a rigid block. A `locked` node
+// (and any group holding one) sits layouts out and keeps its place.
+
+export function boundsOf(nodes) {
+  if (!nodes.length) return null;
+  let x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+  for (const n of nodes) {
+    x1 = Math.min(x1, n.x); y1 = Math.min(y1, n.y);
+    x2 = Math.max(x2, n.x + n.w); y2 = Math.max(y2, n.y + n.h);
+  }
+  return { x: x1, y: y1, w: x2 - x1, h: y2 - y1 };
+}
+
+// add every member of any group touched by ids
+export function expandToGroups(nodes, ids) {
+  const want = new Set(ids);
+  const groups = new Set(nodes.filter(n => want.has(n.id) && n.groupId).map(n => n.groupId));
+  return nodes.filter(n => want.has(n.id) || (n.groupId && groups.has(n.groupId))).map(n => n.id);
+}
+
+// scale/translate nodes from bounding box `from` into bounding box `to`
+export function mapIntoBox(nodes, from, to, minSize = 16) {
+  const sx = from.w ? to.w / from.w : 1, sy = from.h ? to.h / from.h : 1;
+  return nodes.map(n => ({
+    ...n,
+    x: to.x + (n.x - from.x) * sx, y: to.y + (n.y - from.y) * sy,
+    w: Math.max(minSize, n.w * sx), h: Math.max(minSize, n.h * sy),
+  }));
+}
+
+// Run a layout over groups collapsed into single proxy nodes, then expand the
+// proxies back into their members (scaled into wherever the proxy landed).
+// Locked units are left out of the layout and keep their slot in the order.
+export function withGroups(nodes, layout) {
+  const members = new Map();
+  const units = [];
+  for (const n of nodes) {
+    if (!n.groupId) { units.push(n); continue; }
+    if (!members.has(n.groupId)) { members.set(n.groupId, []); units.push({ id: `group:${n.groupId}`, groupId: n.groupId }); }
+    members.get(n.groupId).push(n);
+  }
+  const proxies = units.map(u => {
+    if (!u.id.startsWith("group:")) return u;
+    const b = boundsOf(members.get(u.groupId));
+    return { ...u, ...b, _natW: b.w, _natH: b.h, _group: true, locked: members.get(u.groupId).some(n => n.locked) };
+  });
+  const placed = layout(proxies.filter(u => !u.locked));
+  let k = 0;
+  const out = [...proxies.map(u => (u.locked ? u : placed[k++])).filter(Boolean), ...placed.slice(k)];
+  return out.flatMap(u => {
+    if (!u._group) return [u];
+    if (u.locked) return members.get(u.groupId);
+    const list = members.get(u.groupId);
+    return mapIntoBox(list, boundsOf(list), u, 1);
+  });
+}
+
+// move one node to index `to` of the stack; the rest keep their order
+export function moveInStack(nodes, id, to) {
+  const from = nodes.findIndex(n => n.id === id);
+  if (from < 0 || from === to) return nodes;
+  const a = [...nodes];
+  const [n] = a.splice(from, 1);
+  a.splice(to, 0, n);
+  return a;
+}
+
+/* z-order over a selection, keeping the selection's own relative order */
+export function reorderSelection(nodes, ids, how) {
+  const sel = new Set(ids);
+  if (!nodes.some(n => sel.has(n.id))) return nodes;
+  if (how === "back") return [...nodes.filter(n => sel.has(n.id)), ...nodes.filter(n => !sel.has(n.id))];
+  if (how === "front") return [...nodes.filter(n => !sel.has(n.id)), ...nodes.filter(n => sel.has(n.id))];
+  const a = [...nodes];
+  if (how === "forward") {
+    for (let i = a.length - 2; i >= 0; i--) {
+      if (sel.has(a[i].id) && !sel.has(a[i + 1].id)) [a[i], a[i + 1]] = [a[i + 1], a[i]];
+    }
+  } else if (how === "backward") {
+    for (let i = 1; i < a.length; i++) {
+      if (sel.has(a[i].id) && !sel.has(a[i - 1].id)) [a[i], a[i - 1]] = [a[i - 1], a[i]];
+    }
+  }
+  return a;
+}
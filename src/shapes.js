@@ -0,0 +1,101 @@
+/* --------------------------- overlay shapes --------------------------- */
+// Shapes live in the same stack as images ({ kind:"shape" }) and are always
+// stored as a box: { id, kind, type, x, y, w, h, colour, opacity, rotation, weight? }.
+// Circles keep w === h; a plus is two arms PLUS_ARM thick across its box.
+// Lines, arcs and dot grids also carry `weight`: the stroke or dot diameter.
+// A line runs across the middle of its box with round ends, an arc is the top
+// half of the ellipse standing on the box's bottom edge, a triangle points up,
+// and dots fill their box on a DOT_GAP × weight grid.
+export const SHAPE_TYPES = ["bar", "rect", "circle", "plus", "line", "arc", "triangle", "dots"];
+export const PLUS_ARM = 0.3;
+export const DOT_GAP = 2.5;
+export const DEFAULT_WEIGHT = { line: 4, arc: 6, dots: 8 };
+export const hasWeight = (s) => s.type in DEFAULT_WEIGHT;
+export const shapeWeight = (s) => s.weight ?? DEFAULT_WEIGHT[s.type] ?? 0;
+
+export const isImage = (n) => n.kind === "image";
+export const isShape = (n) => n.kind === "shape";
+
+// Replace every element of `kind` with `list`, reusing their stack slots in
+// order (extra items go on top, missing ones are dropped).
+export function replaceKind(elements, kind, list) {
+  const queue = [...list];
+  const out = [];
+  for (const el of elements) {
+    if (el.kind !== kind) out.push(el);
+    else if (queue.length) out.push(queue.shift());
+  }
+  return [...out, ...queue];
+}
+
+// circles and plus signs stay square when their box is resized
+export function constrainShape(s) {
+  if (s.type !== "circle" && s.type !== "plus") return s;
+  const d = Math.min(s.w, s.h);
+  return { ...s, x: s.x + (s.w - d) / 2, y: s.y + (s.h - d) / 2, w: d, h: d };
+}
+
+// v1 projects: centre-based circles/plus and colours taken from overlay A/B
+export function shapeFromV1(s, colourA, colourB) {
+  const base = { id: s.id, kind: "shape", type: s.type, opacity: 1, rotation: 0 };
+  if (s.type === "circle") {
+    const r = s.r || 0;
+    return { ...base, x: s.x - r, y: s.y - r, w: r * 2, h: r * 2, colour: colourB };
+  }
+  if (s.type === "plus") {
+    const sz = s.s || 18;
+    return { ...base, x: s.x - sz / 2, y: s.y - sz / 2, w: sz, h: sz, colour: colourA };
+  }
+  return { ...base, x: s.x, y: s.y, w: s.w || 0, h: s.h || 0, colour: colourA };
+}
+
+/* draw one shape onto a board canvas; offsetX is the board's left edge */
+export function drawShape(ctx, s, offsetX, scale, alpha = 1) {
+  const w = s.w * scale, h = s.h * scale;
+  ctx.save();
+  ctx.globalAlpha = alpha * (s.opacity ?? 1);
+  ctx.fillStyle = s.colour;
+  ctx.translate((s.x - offsetX) * scale + w / 2, s.y * scale + h / 2);
+  if (s.rotation) ctx.rotate((s.rotation * Math.PI) / 180);
+  if (s.type === "circle") {
+    ctx.beginPath();
+    ctx.ellipse(0, 0, w / 2, h / 2, 0, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (s.type === "plus") {
+    const aw = w * PLUS_ARM, ah = h * PLUS_ARM;
+    ctx.fillRect(-aw / 2, -h / 2, aw, h);
+    ctx.fillRect(-w / 2, -ah / 2, w, ah);
+  } else if (s.type === "line") {
+    const lw = Math.min(shapeWeight(s) * scale, w);
+    ctx.strokeStyle = s.colour; ctx.lineWidth = lw; ctx.lineCap = "round";
+    ctx.beginPath();
+    ctx.moveTo(-w / 2 + lw / 2, 0); ctx.lineTo(w / 2 - lw / 2, 0);
+    ctx.stroke();
+  } else if (s.type === "arc") {
+    const lw = Math.min(shapeWeight(s) * scale, w / 2, h);
+    ctx.strokeStyle = s.colour; ctx.lineWidth = lw;
+    ctx.beginPath();
+    ctx.ellipse(0, h / 2, w / 2 - lw / 2, h - lw / 2, 0, Math.PI, Math.PI * 2);
+    ctx.stroke();
+  } else if (s.type === "triangle") {
+    ctx.beginPath();
+    ctx.moveTo(0, -h / 2); ctx.lineTo(w / 2, h / 2); ctx.lineTo(-w / 2, h / 2);
+    ctx.closePath();
+    ctx.fill();
+  } else if (s.type === "dots") {
+    // same tiling as the preview's radial-gradient background: one dot per cell, partial cells clipped
+    const d = shapeWeight(s) * scale, gap = d * DOT_GAP;
+    ctx.beginPath(); ctx.rect(-w / 2, -h / 2, w, h); ctx.clip();
+    ctx.beginPath();
+    for (let y = gap / 2; y - d / 2 < h; y += gap) {
+      for (let x = gap / 2; x - d / 2 < w; x += gap) {
+        ctx.moveTo(x - w / 2 + d / 2, y - h / 2);
+        ctx.arc(x - w / 2, y - h / 2, d / 2, 0, Math.PI * 2);
+      }
+    }
+    ctx.fill();
+  } else {
+    ctx.fillRect(-w / 2, -h / 2, w, h);
+  }
+  ctx.restore();
+}
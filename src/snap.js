@@ -0,0 +1,147 @@
+/* --------------------------- smart guides --------------------------- */
+// All maths in spread coordinates. A "line" is a snap target on one axis:
+// { v, kind } where kind is "board" | "centre" | "margin" | "item".
+export const SNAP_SCREEN_PX = 6;
+
+export function snapTargets({ boards, BW, BH, spacing }, others) {
+  const xs = [], ys = [];
+  for (let b = 0; b <= boards; b++) xs.push({ v: b * BW, kind: "board" });
+  for (let b = 0; b < boards; b++) {
+    xs.push({ v: b * BW + BW / 2, kind: "centre" });
+    if (spacing > 0) xs.push({ v: b * BW + spacing, kind: "margin" }, { v: (b + 1) * BW - spacing, kind: "margin" });
+  }
+  ys.push({ v: 0, kind: "board" }, { v: BH, kind: "board" }, { v: BH / 2, kind: "centre" });
+  if (spacing > 0) ys.push({ v: spacing, kind: "margin" }, { v: BH - spacing, kind: "margin" });
+  for (const n of others) {
+    xs.push({ v: n.x, kind: "item" }, { v: n.x + n.w / 2, kind: "item" }, { v: n.x + n.w, kind: "item" });
+    ys.push({ v: n.y, kind: "item" }, { v: n.y + n.h / 2, kind: "item" }, { v: n.y + n.h, kind: "item" });
+  }
+  return { xs, ys, others };
+}
+
+// edges of `r` on one axis: [name, value]
+const edgesX = (r) => [["start", r.x], ["mid", r.x + r.w / 2], ["end", r.x + r.w]];
+const edgesY = (r) => [["start", r.y], ["mid", r.y + r.h / 2], ["end", r.y + r.h]];
+
+function bestLine(edges, lines, threshold) {
+  let best = null;
+  for (const [name, v] of edges) {
+    for (const l of lines) {
+      const d = l.v - v;
+      if (Math.abs(d) <= threshold && (!best || Math.abs(d) < Math.abs(best.d))) best = { d, v: l.v, name, kind: l.kind };
+    }
+  }
+  return best;
+}
+
+// Equal gaps: neighbours on the same row (or column) either side of r, plus
+// gaps that already exist between other pairs on that row.
+function bestGap(r, others, axis, threshold) {
+  const [pos, size, cpos, csize] = axis === "x" ? ["x", "w", "y", "h"] : ["y", "h", "x", "w"];
+  const band = others.filter(o => o[cpos] < r[cpos] + r[csize] && r[cpos] < o[cpos] + o[csize]);
+  const before = band.filter(o => o[pos] + o[size] <= r[pos] + threshold).sort((a, b) => (b[pos] + b[size]) - (a[pos] + a[size]));
+  const after = band.filter(o => o[pos] >= r[pos] + r[size] - threshold).sort((a, b) => a[pos] - b[pos]);
+  const sorted = [...band].sort((a, b) => a[pos] - b[pos]);
+  const gaps = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const g = sorted[i][pos] - (sorted[i - 1][pos] + sorted[i - 1][size]);
+    if (g > 0) gaps.push({ g, a: sorted[i - 1], b: sorted[i] });
+  }
+  const cands = [];
+  const L = before[0], R = after[0];
+  if (L && R) {
+    const g = (R[pos] - (L[pos] + L[size]) - r[size]) / 2;
+    if (g > 0) cands.push({ target: L[pos] + L[size] + g, g, pairs: [[L, null], [null, R]] });
+  }
+  for (const { g, a, b } of gaps) {
+    if (L) cands.push({ target: L[pos] + L[size] + g, g, pairs: [[L, null], [a, b]] });
+    if (R) cands.push({ target: R[pos] - g - r[size], g, pairs: [[null, R], [a, b]] });
+  }
+  let best = null;
+  for (const c of cands) {
+    const d = c.target - r[pos];
+    if (Math.abs(d) <= threshold && (!best || Math.abs(d) < Math.abs(best.d))) best = { ...c, d };
+  }
+  return best;
+}
+
+// guide segments for rendering: { axis:"x"|"y", v, from, to[, gap] }
+function lineGuide(axis, v, r, others, extent) {
+  const hits = others.filter(o => axis === "x"
+    ? [o.x, o.x + o.w / 2, o.x + o.w].some(e => Math.abs(e - v) < 0.5)
+    : [o.y, o.y + o.h / 2, o.y + o.h].some(e => Math.abs(e - v) < 0.5));
+  const span = [r, ...hits].map(o => axis === "x" ? [o.y, o.y + o.h] : [o.x, o.x + o.w]);
+  const from = hits.length ? Math.min(...span.map(s => s[0])) : 0;
+  const to = hits.length ? Math.max(...span.map(s => s[1])) : extent;
+  return { axis, v, from, to };
+}
+function gapGuides(axis, r, gap) {
+  const [pos, size, cpos, csize] = axis === "x" ? ["x", "w", "y", "h"] : ["y", "h", "x", "w"];
+  return gap.pairs.map(([a, b]) => {
+    const p = a || r, q = b || r;
+    const lo = Math.max(p[cpos], q[cpos]), hi = Math.min(p[cpos] + p[csize], q[cpos] + q[csize]);
+    return { axis, gap: true, from: p[pos] + p[size], to: q[pos], v: (lo + hi) / 2 };
+  });
+}
+
+/*
+ * Snap a rect moving freely (edges = all) or being resized (edges = the
+ * moving sides, e.g. { x: ["end"], y: [] }). Returns the correction to apply
+ * and the guides to draw.
+ */
+export function snapRect(r, targets, threshold, { geometry, edges = null } = {}) {
+  const pickX = edges ? edgesX(r).filter(([n]) => edges.x.includes(n)) : edgesX(r);
+  const pickY = edges ? edgesY(r).filter(([n]) => edges.y.includes(n)) : edgesY(r);
+  let dx = 0, dy = 0;
+  const guides = [];
+  const lx = pickX.length ? bestLine(pickX, targets.xs, threshold) : null;
+  const ly = pickY.length ? bestLine(pickY, targets.ys, threshold) : null;
+  const gx = !edges ? bestGap(r, targets.others, "x", threshold) : null;
+  const gy = !edges ? bestGap(r, targets.others, "y", threshold) : null;
+
+  const useLx = lx && (!gx || Math.abs(lx.d) <= Math.abs(gx.d));
+  const useLy = ly && (!gy || Math.abs(ly.d) <= Math.abs(gy.d));
+  if (useLx) dx = lx.d; else if (gx) dx = gx.d;
+  if (useLy) dy = ly.d; else if (gy) dy = gy.d;
+
+  // vertical guides run the spread height, horizontal ones its width
+  const out = { ...r, x: r.x + dx, y: r.y + dy };
+  const spanX = geometry ? geometry.BH : 0, spanY = geometry ? geometry.boards * geometry.BW : 0;
+  if (useLx) guides.push(lineGuide("x", lx.v, out, targets.others, spanX));
+  else if (gx) guides.push(...gapGuides("x", out, gx));
+  if (useLy) guides.push(lineGuide("y", ly.v, out, targets.others, spanY));
+  else if (gy) guides.push(...gapGuides("y", out, gy));
+  return { dx, dy, guides };
+}
+
+/* ------------------------- align & distribute ------------------------- */
+// Each node is aligned inside its reference box: the selection bounds, or
+// the margin box of the board under the node's centre.
+export function alignNodes(nodes, how, refFor) {
+  return nodes.map(n => {
+    const r = refFor(n);
+    switch (how) {
+      case "left": return { ...n, x: r.x };
+      case "centre": return { ...n, x: r.x + (r.w - n.w) / 2 };
+      case "right": return { ...n, x: r.x + r.w - n.w };
+      case "top": return { ...n, y: r.y };
+      case "middle": return { ...n, y: r.y + (r.h - n.h) / 2 };
+      case "bottom": return { ...n, y: r.y + r.h - n.h };
+      default: return n;
+    }
+  });
+}
+
+// equal gaps between the first and last node along an axis
+export function distributeNodes(nodes, axis) {
+  if (nodes.length < 3) return nodes;
+  const [pos, size] = axis === "x" ? ["x", "w"] : ["y", "h"];
+  const sorted = [...nodes].sort((a, b) => (a[pos] + a[size] / 2) - (b[pos] + b[size] / 2));
+  const first = sorted[0], last = sorted[sorted.length - 1];
+  const span = last[pos] + last[size] - first[pos];
+  const gap = (span - sorted.reduce((s, n) => s + n[size], 0)) / (sorted.length - 1);
+  let cur = first[pos];
+  const placed = new Map();
+  for (const n of sorted) { placed.set(n.id, { ...n, [pos]: cur }); cur += n[size] + gap; }
+  return nodes.map(n => placed.get(n.id));
+}
@@ -0,0 +1,86 @@
+import { idbGet, idbSet } from "./idb.js";
+import { markOverlaps } from "./quality.js";
+
+/* ------------------------------ templates ------------------------------ */
+// A template is a spread with the photos taken out: geometry, background,
+// overlay settings and the whole element stack, where every image frame is
+// an empty slot (an image element with no asset) keeping its box, frame
+// style and place in the stack. Shapes and text come along as they are.
+//   { app, version, name, created, boards, BW, BH, spacing, bgColour,
+//     background, overlay: {...}, elements, fonts }
+// Saved templates live in this browser (IndexedDB) and travel as JSON files.
+export const TEMPLATE_VERSION = 1;
+const APP_ID = "858-template";
+const STORE_KEY = "templates";
+export const TEMPLATE_EXT = ".858t.json";
+
+export const isSlot = (n) => n.kind === "image" && !n.asset;
+
+// an image frame without its photo
+const toSlot = ({ id, x, y, w, h, rotation, mask, radius, stroke, shadow, adjust, groupId, hidden, locked }) =>
+  ({ id, kind: "image", x, y, w, h, rotation, mask, radius, stroke, shadow, adjust, groupId, hidden, locked });
+
+export function templateFrom(name, { boards, BW, BH, spacing, bgColour, background, overlay, elements, fonts = [] }) {
+  const families = new Set(elements.filter(n => n.kind === "text").map(n => n.fontFamily));
+  return {
+    app: APP_ID, version: TEMPLATE_VERSION, name, created: new Date().toISOString(),
+    boards, BW, BH, spacing, bgColour, background, overlay,
+    elements: elements.map(n => (n.kind === "image" ? toSlot(n) : n)),
+    fonts: fonts.filter(f => families.has(f.family)),
+  };
+}
+
+const ratio = (w, h) => Math.log(w / h);
+
+// Slot id -> image, pairing closest aspect ratios first (by log ratio, so
+// 2:1 is as far from 1:1 as 1:2). Images without a known size use their box.
+export function matchSlots(slots, images) {
+  const pairs = [];
+  for (const s of slots) {
+    for (const n of images) {
+      const ar = n._natW && n._natH ? ratio(n._natW, n._natH) : ratio(n.w, n.h);
+      pairs.push({ s, n, d: Math.abs(ratio(s.w, s.h) - ar) });
+    }
+  }
+  pairs.sort((a, b) => a.d - b.d);
+  const out = new Map(), used = new Set();
+  for (const { s, n } of pairs) {
+    if (out.has(s.id) || used.has(n.id)) continue;
+    out.set(s.id, n);
+    used.add(n.id);
+  }
+  return out;
+}
+
+// put `image`'s photo into slot (or image frame) `frame`; the crop starts centred
+export const fillFrame = (frame, image) =>
+  ({ ...frame, asset: image.asset, _natW: image._natW, _natH: image._natH, crop: undefined });
+
+// template elements with slots filled from `images`; images left over keep
+// their boxes on top (re-id'd by newId() if a slot already has their id).
+// Slots the template stacks on each other are stacked on purpose, so they're
+// marked for the quality check.
+export function fillTemplate(t, images, newId) {
+  const matched = matchSlots(t.elements.filter(isSlot), images.filter(n => n.asset));
+  const used = new Set([...matched.values()].map(n => n.id));
+  const elements = t.elements.map(n => (isSlot(n) && matched.has(n.id) ? fillFrame(n, matched.get(n.id)) : n));
+  const ids = new Set(elements.map(n => n.id));
+  const rest = images.filter(n => n.asset && !used.has(n.id)).map(n => (ids.has(n.id) ? { ...n, id: newId() } : n));
+  return markOverlaps([...elements, ...rest], new Set(t.elements.map(n => n.id)));
+}
+
+/* ---------------- storage & files ---------------- */
+export const loadTemplates = async () => (await idbGet(STORE_KEY)) || [];
+export const saveTemplates = (list) => idbSet(STORE_KEY, list);
+
+// files can't carry the background image (its bytes stay in this browser)
+export const templateToJSON = (t) =>
+  JSON.stringify({ ...t, background: t.background && { ...t.background, image: null } }, null, 2);
+
+export function templateFromJSON(text) {
+  const t = JSON.parse(text);
+  if (t?.app !== APP_ID) throw new Error("Not an 858 template");
+  if (t.version > TEMPLATE_VERSION) throw new Error(`Template version ${t.version} is newer than this app (${TEMPLATE_VERSION})`);
+  if (!Array.isArray(t.elements)) throw new Error("Template has no elements");
+  return t;
+}
@@ -0,0 +1,123 @@
+/* ----------------------------- text layers ----------------------------- */
+// { kind:"text", x, y, w, h, text, fontFamily, fontSize, fontWeight, tracking,
+//   lineHeight, align, colour }. tracking is in 1/1000 em, lineHeight a
+// multiple of fontSize, w the wrap width. layoutText() decides the line
+// breaks once (canvas metrics, spread units) and both the on-screen preview
+// and renderBoard draw exactly those lines, so they can never disagree.
+export const isText = (n) => n.kind === "text";
+
+export const SYSTEM_FONTS = [
+  "system-ui", "Helvetica Neue", "Arial", "Georgia", "Times New Roman", "Courier New", "Impact",
+];
+export const TEXT_DEFAULTS = {
+  text: "Headline", fontFamily: "Helvetica Neue", fontSize: 96, fontWeight: 800,
+  tracking: 0, lineHeight: 1.1, align: "left", colour: "#ffffff", w: 640,
+};
+
+const quoteFamily = (f) => /^[\w-]+$/.test(f) && !/^\d/.test(f) ? f : `"${f.replace(/"/g, "")}"`;
+export const fontString = (t, scale = 1) =>
+  `${t.fontWeight} ${t.fontSize * scale}px ${quoteFamily(t.fontFamily)}, sans-serif`;
+export const trackingPx = (t) => (t.tracking / 1000) * t.fontSize;
+
+// measuring works in the export worker too, where there is no document
+let measureCtx = null;
+const ctx2d = () => (measureCtx ||= (typeof document !== "undefined"
+  ? document.createElement("canvas") : new OffscreenCanvas(1, 1)).getContext("2d"));
+const hasLetterSpacing = () => "letterSpacing" in ctx2d();
+
+// width of a run including tracking after every glyph (what CSS letter-spacing does)
+function measureRun(ctx, str, track) {
+  if (!str) return 0;
+  return ctx.measureText(str).width + (hasLetterSpacing() ? 0 : track * [...str].length);
+}
+function applyFont(ctx, t, scale) {
+  ctx.font = fontString(t, scale);
+  if (hasLetterSpacing()) ctx.letterSpacing = `${trackingPx(t) * scale}px`;
+}
+
+const cache = new Map();
+export const clearTextCache = () => cache.clear();
+
+export function layoutText(t) {
+  const key = [t.text, t.fontFamily, t.fontSize, t.fontWeight, t.tracking, t.lineHeight, t.w].join("\u0001");
+  if (cache.has(key)) return cache.get(key);
+  const ctx = ctx2d();
+  applyFont(ctx, t, 1);
+  const track = trackingPx(t);
+  const width = (s) => measureRun(ctx, s, track);
+  const lines = [];
+  for (const para of String(t.text ?? "").split("\n")) {
+    let line = "";
+    for (const word of para.split(/(\s+)/).filter(Boolean)) {
+      const next = line + word;
+      if (line && width(next.trimEnd()) > t.w) {
+        lines.push(line.trimEnd());
+        line = /^\s+$/.test(word) ? "" : word;
+      } else line = next;
+      // a single word wider than the box is broken by character
+      while (width(line) > t.w && [...line].length > 1) {
+        const chars = [...line];
+        let n = chars.length - 1;
+        while (n > 1 && width(chars.slice(0, n).join("")) > t.w) n--;
+        lines.push(chars.slice(0, n).join(""));
+        line = chars.slice(n).join("");
+      }
+    }
+    lines.push(line.trimEnd());
+  }
+  const m = ctx.measureText("Hg");
+  const ascent = m.fontBoundingBoxAscent ?? t.fontSize * 0.8;
+  const descent = m.fontBoundingBoxDescent ?? t.fontSize * 0.2;
+  const lineH = t.fontSize * t.lineHeight;
+  const out = { lines: lines.map(s => ({ text: s, width: width(s) })), lineH, ascent, descent, h: Math.max(lineH, lines.length * lineH) };
+  if (cache.size > 500) cache.clear();
+  cache.set(key, out);
+  return out;
+}
+
+// x of a line inside the box for the text's alignment
+export const lineOffset = (t, lineWidth) =>
+  t.align === "center" ? (t.w - lineWidth) / 2 : t.align === "right" ? t.w - lineWidth : 0;
+
+// keep the stored height in step with the wrapped content
+export const fitText = (t) => ({ ...t, h: layoutText(t).h });
+
+/* draw onto a board canvas; offsetX is the board's left edge. The export
+   worker passes the layout measured on the main thread so lines match the preview. */
+export function drawText(ctx, t, offsetX, scale, L = layoutText(t)) {
+  ctx.save();
+  applyFont(ctx, t, scale);
+  ctx.fillStyle = t.colour;
+  ctx.textBaseline = "alphabetic";
+  ctx.textAlign = "left";
+  // CSS line box: half-leading above the font's ascent
+  const baseline = (L.lineH - (L.ascent + L.descent)) / 2 + L.ascent;
+  const track = trackingPx(t) * scale;
+  L.lines.forEach((line, i) => {
+    const x = (t.x - offsetX + lineOffset(t, line.width)) * scale;
+    const y = (t.y + i * L.lineH + baseline) * scale;
+    if (hasLetterSpacing() || !track) { ctx.fillText(line.text, x, y); return; }
+    let cx = x;
+    for (const ch of line.text) { ctx.fillText(ch, cx, y); cx += ctx.measureText(ch).width + track; }
+  });
+  ctx.restore();
+}
+
+/* uploaded fonts: { family, src } with src a data URL */
+const registered = new Set();
+export async function registerFont({ family, src }) {
+  if (registered.has(family)) return;
+  const face = new FontFace(family, `url(${src})`);
+  await face.load();
+  document.fonts.add(face);
+  registered.add(family);
+  clearTextCache();
+}
+export function fontFromFile(file) {
+  return new Promise((res, rej) => {
+    const r = new FileReader();
+    r.onload = () => res({ family: file.name.replace(/\.[^.]+$/, ""), src: r.result });
+    r.onerror = rej;
+    r.readAsDataURL(file);
+  });
+}
@@ -0,0 +1,144 @@
+import { useEffect, useRef, useState } from "react";
+
+/* ----------------------------- viewport ----------------------------- */
+// Preview-only pan/zoom. The spread is drawn at spread coordinates under
+// `translate(x,y) scale(zoom)`; toSpread() is the one place screen points are
+// converted back, so every interaction stays glued to the cursor at any zoom.
+// Nothing here touches export geometry.
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 8;
+const FIT_PAD = 24;
+const clampZoom = (z) => Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, z));
+
+const isTyping = (el) => !!el?.closest?.("input, textarea, select, [contenteditable=true]");
+
+const localPoint = (el, cx, cy) => {
+  const r = el.getBoundingClientRect();
+  return { x: cx - r.left, y: cy - r.top };
+};
+// zoom keeping the viewport-local point (px,py) fixed on screen
+const zoomAround = (v, z, px, py) => {
+  z = clampZoom(z);
+  return { zoom: z, x: px - (px - v.x) * (z / v.zoom), y: py - (py - v.y) * (z / v.zoom) };
+};
+
+export function useViewport() {
+  const ref = useRef(null);
+  const [view, setView] = useState({ zoom: 0.62, x: FIT_PAD, y: FIT_PAD });
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [panning, setPanning] = useState(false);
+  const viewRef = useRef(view);
+  viewRef.current = view;
+  const gesture = useRef({ pointers: new Map(), pinch: null });
+
+  const toSpread = (cx, cy) => {
+    const p = localPoint(ref.current, cx, cy), v = viewRef.current;
+    return { x: (p.x - v.x) / v.zoom, y: (p.y - v.y) / v.zoom };
+  };
+  const zoomAt = (z, cx, cy) => {
+    const p = localPoint(ref.current, cx, cy);
+    setView(v => zoomAround(v, z, p.x, p.y));
+  };
+  const setZoom = (z) => {
+    const el = ref.current;
+    setView(v => zoomAround(v, z, el.clientWidth / 2, el.clientHeight / 2));
+  };
+  const fitRect = (r) => {
+    const el = ref.current;
+    if (!el) return;
+    const z = clampZoom(Math.min((el.clientWidth - FIT_PAD * 2) / r.w, (el.clientHeight - FIT_PAD * 2) / r.h));
+    setView({ zoom: z, x: (el.clientWidth - r.w * z) / 2 - r.x * z, y: (el.clientHeight - r.h * z) / 2 - r.y * z });
+  };
+  const actualSize = () => setZoom(1);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const g = gesture.current;
+    const local = (cx, cy) => localPoint(el, cx, cy);
+
+    // ctrl/cmd + wheel (and trackpad pinch, which arrives as ctrl+wheel) zooms; plain wheel pans
+    const wheel = (e) => {
+      e.preventDefault();
+      const p = local(e.clientX, e.clientY);
+      if (e.ctrlKey || e.metaKey) {
+        setView(v => zoomAround(v, v.zoom * Math.exp(-e.deltaY * 0.0025), p.x, p.y));
+      } else {
+        const dx = e.shiftKey && !e.deltaX ? e.deltaY : e.deltaX, dy = e.shiftKey && !e.deltaX ? 0 : e.deltaY;
+        setView(v => ({ ...v, x: v.x - dx, y: v.y - dy }));
+      }
+    };
+
+    const startPan = (e) => {
+      e.preventDefault(); e.stopPropagation();
+      const sx = e.clientX, sy = e.clientY, v0 = viewRef.current;
+      setPanning(true);
+      const mm = (ev) => setView(v => ({ ...v, x: v0.x + ev.clientX - sx, y: v0.y + ev.clientY - sy }));
+      const uu = () => {
+        setPanning(false);
+        window.removeEventListener("pointermove", mm);
+        window.removeEventListener("pointerup", uu);
+      };
+      window.addEventListener("pointermove", mm);
+      window.addEventListener("pointerup", uu);
+    };
+
+    // capture phase so space-drag / middle-drag / pinch win over item drags and marquee
+    const down = (e) => {
+      if (e.pointerType === "touch") {
+        g.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (g.pointers.size === 2) {
+          const [a, b] = [...g.pointers.values()];
+          g.pinch = { d: Math.hypot(a.x - b.x, a.y - b.y), mid: local((a.x + b.x) / 2, (a.y + b.y) / 2), v0: viewRef.current };
+          e.stopPropagation();
+          return;
+        }
+      }
+      if (g.spaceHeld || e.button === 1) startPan(e);
+    };
+    const move = (e) => {
+      if (!g.pointers.has(e.pointerId)) return;
+      g.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (!g.pinch || g.pointers.size < 2) return;
+      const [a, b] = [...g.pointers.values()];
+      const d = Math.hypot(a.x - b.x, a.y - b.y), mid = local((a.x + b.x) / 2, (a.y + b.y) / 2);
+      const { v0 } = g.pinch;
+      const z = zoomAround(v0, v0.zoom * d / g.pinch.d, g.pinch.mid.x, g.pinch.mid.y);
+      setView({ ...z, x: z.x + mid.x - g.pinch.mid.x, y: z.y + mid.y - g.pinch.mid.y });
+    };
+    const up = (e) => {
+      g.pointers.delete(e.pointerId);
+      if (g.pointers.size < 2) g.pinch = null;
+    };
+
+    const key = (e) => {
+      if (e.code !== "Space" || isTyping(e.target)) return;
+      e.preventDefault();
+      g.spaceHeld = e.type === "keydown";
+      setSpaceHeld(g.spaceHeld);
+    };
+
+    el.addEventListener("wheel", wheel, { passive: false });
+    el.addEventListener("pointerdown", down, true);
+    window.addEventListener("pointermove", move);
+    window.addEventListener("pointerup", up);
+    window.addEventListener("pointercancel", up);
+    window.addEventListener("keydown", key);
+    window.addEventListener("keyup", key);
+    return () => {
+      el.removeEventListener("wheel", wheel);
+      el.removeEventListener("pointerdown", down, true);
+      window.removeEventListener("pointermove", move);
+      window.removeEventListener("pointerup", up);
+      window.removeEventListener("pointercancel", up);
+      window.removeEventListener("keydown", key);
+      window.removeEventListener("keyup", key);
+    };
+  }, []);
+
+  return {
+    ref, view, zoom: view.zoom, spaceHeld, panning,
+    isPinching: () => !!gesture.current.pinch,
+    toSpread, zoomAt, setZoom, fitRect, actualSize,
+  };
+}